@@ -0,0 +1,47 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * One JSON file per key under `dir`. Survives restarts, which keeps the
+ * multi-day infrastructure and Wikipedia entries from being refetched
+ * after every deploy.
+ */
+function createFileStore(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const fileFor = (key) =>
+        path.join(dir, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+
+    return {
+        async get(key) {
+            let entry;
+            try {
+                entry = JSON.parse(await fsp.readFile(fileFor(key), "utf8"));
+            } catch (err) {
+                if (err.code === "ENOENT") return undefined;
+                throw err;
+            }
+
+            if (entry.expiresAt <= Date.now()) {
+                await fsp.rm(fileFor(key), { force: true });
+                return undefined;
+            }
+            return entry.value;
+        },
+
+        async set(key, value, ttl) {
+            const file = fileFor(key);
+            const tmp = `${file}.${process.pid}.tmp`;
+            await fsp.writeFile(tmp, JSON.stringify({ key, value, expiresAt: Date.now() + ttl }));
+            await fsp.rename(tmp, file);
+        },
+
+        async delete(key) {
+            await fsp.rm(fileFor(key), { force: true });
+        }
+    };
+}
+
+module.exports = { createFileStore };
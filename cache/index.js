@@ -0,0 +1,78 @@
+const path = require("path");
+const { createMemoryStore } = require("./memoryStore");
+const { createFileStore } = require("./fileStore");
+const { connectRedisStore } = require("./redisStore");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/*
+ * CACHE_STORE picks the backend:
+ *   memory (default) - LRU capped at CACHE_MAX_ENTRIES entries
+ *   file             - JSON files under CACHE_DIR (default ./.cache)
+ *   redis            - REDIS_URL, needs the `redis` package installed
+ */
+function createStore() {
+    const kind = (process.env.CACHE_STORE || "memory").toLowerCase();
+
+    if (kind === "file") {
+        const dir = process.env.CACHE_DIR || path.join(__dirname, "..", ".cache");
+        console.log(`Cache: file store at ${dir}`);
+        return createFileStore(dir);
+    }
+
+    if (kind === "redis") {
+        try {
+            const store = connectRedisStore(process.env.REDIS_URL);
+            console.log("Cache: redis store");
+            return store;
+        } catch (err) {
+            console.warn(`Cache: redis unavailable (${err.message}), using memory store`);
+        }
+    }
+
+    return createMemoryStore(Number(process.env.CACHE_MAX_ENTRIES) || 500);
+}
+
+const store = createStore();
+
+/**
+ * Returns `{ value, status }` where status is HIT, MISS, or BYPASS when the
+ * ttl is 0. Only successful loads are stored, and a broken store never
+ * fails the request: it just behaves like a miss.
+ */
+async function cached(key, ttl, loader) {
+    if (!ttl) {
+        return { value: await loader(), status: "BYPASS" };
+    }
+
+    try {
+        const hit = await store.get(key);
+        if (hit !== undefined) return { value: hit, status: "HIT" };
+    } catch (err) {
+        console.warn(`Cache read failed for ${key}: ${err.message}`);
+    }
+
+    const value = await loader();
+    store.set(key, value, ttl).catch((err) => {
+        console.warn(`Cache write failed for ${key}: ${err.message}`);
+    });
+
+    return { value, status: "MISS" };
+}
+
+/**
+ * Reads an entry without ever loading it; undefined on a miss or a broken
+ * store. For features that only use data other requests already paid for.
+ */
+async function peek(key) {
+    try {
+        return await store.get(key);
+    } catch (err) {
+        console.warn(`Cache read failed for ${key}: ${err.message}`);
+        return undefined;
+    }
+}
+
+module.exports = { MINUTE, HOUR, DAY, cached, peek, store };
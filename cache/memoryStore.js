@@ -0,0 +1,36 @@
+/**
+ * In-process LRU store. A Map keeps insertion order, so re-inserting on
+ * every read moves an entry to the back and the first key is always the
+ * least recently used one.
+ */
+function createMemoryStore(maxEntries = 500) {
+    const entries = new Map();
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+
+            entries.delete(key);
+            if (entry.expiresAt <= Date.now()) return undefined;
+
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        async set(key, value, ttl) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,43 @@
+const KEY_PREFIX = "citydata:";
+
+/**
+ * Store backed by any client speaking the node-redis v4 API
+ * (`get`, `set(key, value, { PX })`, `del`).
+ */
+function createRedisStore(client) {
+    return {
+        async get(key) {
+            const raw = await client.get(KEY_PREFIX + key);
+            return raw === null ? undefined : JSON.parse(raw);
+        },
+
+        async set(key, value, ttl) {
+            await client.set(KEY_PREFIX + key, JSON.stringify(value), { PX: ttl });
+        },
+
+        async delete(key) {
+            await client.del(KEY_PREFIX + key);
+        }
+    };
+}
+
+/**
+ * Connects with the `redis` package, which is not a hard dependency:
+ * install it alongside the server to use CACHE_STORE=redis.
+ */
+function connectRedisStore(url) {
+    const { createClient } = require("redis");
+    const client = createClient({ url });
+    client.on("error", (err) => console.warn(`Redis cache error: ${err.message}`));
+
+    const ready = client.connect();
+    const store = createRedisStore(client);
+
+    return {
+        get: async (key) => { await ready; return store.get(key); },
+        set: async (key, value, ttl) => { await ready; return store.set(key, value, ttl); },
+        delete: async (key) => { await ready; return store.delete(key); }
+    };
+}
+
+module.exports = { createRedisStore, connectRedisStore };
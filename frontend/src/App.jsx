@@ -1,9 +1,24 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Line, Bar } from 'react-chartjs-2';
-import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, LayersControl, useMapEvents } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
-import axios from 'axios';
+import { api } from './api';
+import { AQI_SCALES, AQI_BANDS, AQI_ADVICE, aqiCategory, aqiCategoryStyle } from './aqi';
+import CitySearch from './components/CitySearch';
+import CityChooser from './components/CityChooser';
+import CompareView from './components/CompareView';
+import RankingsView from './components/RankingsView';
+import RegionsView from './components/RegionsView';
+import IndicatorsPanel from './components/IndicatorsPanel';
+import LivabilityScore from './components/LivabilityScore';
+import WeatherHistory from './components/WeatherHistory';
+import HourlyForecast from './components/HourlyForecast';
+import AirQualityHistory from './components/AirQualityHistory';
+import InfrastructureLayers from './components/InfrastructureLayers';
+import CityBoundary from './components/CityBoundary';
+import WaterLayers from './components/WaterLayers';
+import WaterResources from './components/WaterResources';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -113,11 +128,51 @@ const LoadingSkeleton = ({ darkMode }) => {
   );
 };
 
+// Views other than the city dashboard, toggled from the navbar
+const VIEW_BUTTONS = [
+  { view: 'compare', icon: 'fa-scale-balanced', title: 'Compare cities' },
+  { view: 'rankings', icon: 'fa-ranking-star', title: 'City rankings' },
+  { view: 'regions', icon: 'fa-sitemap', title: 'States and districts' },
+];
+
+// Forwards map clicks as { lat, lng }
+const MapClickHandler = ({ onClick }) => {
+  useMapEvents({
+    click: (e) => onClick(e.latlng),
+  });
+  return null;
+};
+
+// Placeholder for a section whose upstream source failed
+const DataUnavailable = ({ darkMode, label, error }) => {
+  return (
+    <div className={`rounded-3xl p-8 shadow-xl border border-dashed flex flex-col items-center justify-center text-center gap-3 ${
+      darkMode ? 'bg-gray-900 border-gray-700' : 'bg-white border-slate-300'
+    }`}>
+      <div className={`w-12 h-12 rounded-xl flex items-center justify-center ${
+        darkMode ? 'bg-gray-800 text-gray-400' : 'bg-slate-100 text-slate-500'
+      }`}>
+        <i className="fas fa-circle-exclamation text-xl"></i>
+      </div>
+      <p className={`font-semibold ${darkMode ? 'text-gray-300' : 'text-slate-700'}`}>
+        {label} data unavailable
+      </p>
+      {error && (
+        <p className={`text-xs max-w-md ${darkMode ? 'text-gray-500' : 'text-slate-400'}`}>
+          {error.source}: {error.message}
+        </p>
+      )}
+    </div>
+  );
+};
+
 const CityDataDashboard = () => {
   const [cityData, setCityData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [searchCity, setSearchCity] = useState('Delhi');
+  // { city } for free text, plus { id } or { state } once a place is pinned down
+  const [searchQuery, setSearchQuery] = useState({ city: 'Delhi' });
+  const [aqiScale, setAqiScale] = useState(AQI_SCALES[0].key);
   const [inputCity, setInputCity] = useState('Delhi');
   const [darkMode, setDarkMode] = useState(() => {
     // Check system preference on first load
@@ -130,6 +185,9 @@ const CityDataDashboard = () => {
   const [toast, setToast] = useState(null);
   const [retryCount, setRetryCount] = useState(0);
   const [isTransitioning, setIsTransitioning] = useState(false);
+  const [ambiguity, setAmbiguity] = useState(null);
+  const [locating, setLocating] = useState(false);
+  const [view, setView] = useState('city');
   
   const reportRef = useRef(null);
   const maxRetries = 3;
@@ -206,7 +264,7 @@ const CityDataDashboard = () => {
               </div>
               <div style="border: 1px solid #e5e7eb; border-radius: 8px; padding: 15px;">
                 <p style="color: #6b7280; font-size: 12px; margin-bottom: 5px;">Population</p>
-                <p style="color: #111827; font-size: 18px; font-weight: bold;">${(cityData.population / 1000000).toFixed(1)} Million</p>
+                <p style="color: #111827; font-size: 18px; font-weight: bold;">${cityData.population != null ? `${(cityData.population / 1000000).toFixed(1)} Million` : 'Data unavailable'}</p>
               </div>
             </div>
           </div>
@@ -255,7 +313,8 @@ const CityDataDashboard = () => {
   };
 
   // Fetch city data from API with retry logic
-  const fetchCityData = async (city, isRetry = false) => {
+  const fetchCityData = async (query, isRetry = false) => {
+    const city = query.city || query.id;
     if (!isRetry) {
       setLoading(true);
       setError(null);
@@ -263,22 +322,32 @@ const CityDataDashboard = () => {
     }
     
     try {
-      const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
-      const response = await axios.get(`${API_BASE_URL}/api`, {
-        params: { city },
-        timeout: 15000, // 15 second timeout
+      const response = await api.get('/api', {
+        params: { ...(query.id ? { id: query.id } : { city: query.city, state: query.state }), scale: aqiScale },
       });
       
       if (response.data) {
         setCityData(response.data);
         setError(null);
         setRetryCount(0);
-        showToast(`Successfully loaded data for ${city}`, 'success');
+
+        const failedSources = Object.values(response.data.errors || {}).map(e => e.source);
+        if (failedSources.length > 0) {
+          showToast(`Loaded ${city}, but some data is unavailable (${[...new Set(failedSources)].join(', ')})`, 'warning');
+        } else {
+          showToast(`Successfully loaded data for ${city}`, 'success');
+        }
       } else {
         throw new Error('No data received from server');
       }
     } catch (err) {
       console.error('Error fetching data:', err);
+
+      // Name matches several places: let the user pick one
+      if (err.response?.status === 300) {
+        setAmbiguity({ query: city, candidates: err.response.data.candidates });
+        return;
+      }
       
       const errorMessage = err.response?.data?.error || err.message || 'Failed to fetch city data';
       
@@ -290,7 +359,7 @@ const CityDataDashboard = () => {
         
         // Exponential backoff
         setTimeout(() => {
-          fetchCityData(city, true);
+          fetchCityData(query, true);
         }, Math.pow(2, nextRetry) * 1000);
       } else {
         setError(errorMessage);
@@ -307,19 +376,75 @@ const CityDataDashboard = () => {
   };
 
   useEffect(() => {
-    fetchCityData(searchCity);
-  }, [searchCity]);
+    fetchCityData(searchQuery);
+  }, [searchQuery]);
 
   const handleSearch = (e) => {
     e.preventDefault();
+    setView('city');
     const trimmedCity = inputCity.trim();
-    if (trimmedCity && trimmedCity !== searchCity) {
-      setSearchCity(trimmedCity);
+    if (trimmedCity && (trimmedCity !== searchQuery.city || searchQuery.id || searchQuery.state)) {
+      setSearchQuery({ city: trimmedCity });
     } else if (!trimmedCity) {
       showToast('Please enter a city name', 'warning');
     }
   };
 
+  const handleSelectSuggestion = (suggestion) => {
+    setInputCity(suggestion.name);
+    setSearchQuery({ city: suggestion.name, id: suggestion.id });
+    setView('city');
+  };
+
+  // Load the dataset city closest to a point
+  const loadNearestCity = async (lat, lon) => {
+    try {
+      const response = await api.get('/api/nearest', { params: { lat, lon, limit: 1 } });
+      const [nearest] = response.data.results;
+      if (!nearest) {
+        showToast('No city found near that point', 'warning');
+        return;
+      }
+
+      showToast(`Nearest city: ${nearest.name}, ${nearest.state} (${nearest.distanceKm} km away)`, 'info');
+      setInputCity(nearest.name);
+      setSearchQuery({ city: nearest.name, id: nearest.id });
+      setView('city');
+    } catch (err) {
+      console.error('Error finding nearest city:', err);
+      showToast(err.response?.data?.error || 'Could not find the nearest city', 'error');
+    }
+  };
+
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      showToast('Location is not supported by this browser', 'warning');
+      return;
+    }
+
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      async (position) => {
+        await loadNearestCity(position.coords.latitude, position.coords.longitude);
+        setLocating(false);
+      },
+      (err) => {
+        setLocating(false);
+        showToast(err.code === err.PERMISSION_DENIED ? 'Location permission denied' : 'Could not get your location', 'warning');
+      },
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 }
+    );
+  };
+
+  const handleChooseCandidate = (candidate) => {
+    setAmbiguity(null);
+    setInputCity(candidate.name);
+    // Candidates outside the dataset have no id; their state is enough
+    setSearchQuery(candidate.id
+      ? { city: candidate.name, id: candidate.id }
+      : { city: candidate.name, state: candidate.state });
+  };
+
   const getWeatherIcon = (weathercode, isDay) => {
     if (weathercode === 0) return isDay ? 'fa-sun' : 'fa-moon';
     if (weathercode === 1 || weathercode === 2 || weathercode === 3) return 'fa-cloud';
@@ -331,31 +456,25 @@ const CityDataDashboard = () => {
     return 'fa-cloud';
   };
 
-  const getAQIColor = (aqi) => {
-    if (aqi <= 50) return 'text-emerald-500';
-    if (aqi <= 100) return 'text-yellow-500';
-    if (aqi <= 150) return 'text-orange-500';
-    if (aqi <= 200) return 'text-rose-500';
-    if (aqi <= 300) return 'text-purple-500';
-    return 'text-red-700';
-  };
-
-  const getAQIBackground = (aqi) => {
-    if (aqi <= 50) return 'bg-emerald-100 dark:bg-emerald-900/20';
-    if (aqi <= 100) return 'bg-yellow-100 dark:bg-yellow-900/20';
-    if (aqi <= 150) return 'bg-orange-100 dark:bg-orange-900/20';
-    if (aqi <= 200) return 'bg-rose-100 dark:bg-rose-900/20';
-    if (aqi <= 300) return 'bg-purple-100 dark:bg-purple-900/20';
-    return 'bg-red-100 dark:bg-red-900/20';
-  };
+  const getAQIColor = (category) => aqiCategoryStyle(category, darkMode).text;
+  const getAQIBackground = (category) => aqiCategoryStyle(category, darkMode).bg;
+  const getAQIBorderColor = (category) => aqiCategoryStyle(category, darkMode).border;
 
-  const getAQIBorderColor = (aqi) => {
-    if (aqi <= 50) return 'border-emerald-500';
-    if (aqi <= 100) return 'border-yellow-500';
-    if (aqi <= 150) return 'border-orange-500';
-    if (aqi <= 200) return 'border-rose-500';
-    if (aqi <= 300) return 'border-purple-500';
-    return 'border-red-700';
+  // Re-rate the loaded city's air quality on another scale without
+  // refetching the rest of the profile
+  const changeAQIScale = async (scale) => {
+    setAqiScale(scale);
+    if (!cityData?.airQuality) return;
+    const { city } = cityData;
+    try {
+      const response = await api.get(`/api/cities/${encodeURIComponent(city.id || city.name)}/air-quality`, {
+        params: { scale, state: city.id ? undefined : city.state },
+      });
+      setCityData((prev) => (prev?.city === city ? { ...prev, airQuality: response.data.airQuality } : prev));
+    } catch (err) {
+      console.error('Error re-rating air quality:', err);
+      showToast(err.response?.data?.error || 'Could not switch AQI scale', 'error');
+    }
   };
 
   // Loading state
@@ -381,7 +500,7 @@ const CityDataDashboard = () => {
           </p>
           <div className="flex gap-3 justify-center">
             <button 
-              onClick={() => fetchCityData(searchCity)}
+              onClick={() => fetchCityData(searchQuery)}
               className="px-6 py-3 bg-gradient-to-r from-violet-500 to-purple-600 text-white rounded-xl hover:from-violet-600 hover:to-purple-700 transform hover:scale-105 transition-all duration-300 shadow-lg hover:shadow-xl font-medium"
             >
               <i className="fas fa-redo mr-2"></i>
@@ -390,7 +509,7 @@ const CityDataDashboard = () => {
             <button 
               onClick={() => {
                 setInputCity('Delhi');
-                setSearchCity('Delhi');
+                setSearchQuery({ city: 'Delhi' });
               }}
               className={`px-6 py-3 rounded-xl transform hover:scale-105 transition-all duration-300 shadow-lg hover:shadow-xl font-medium ${
                 darkMode 
@@ -407,10 +526,27 @@ const CityDataDashboard = () => {
     );
   }
 
-  if (!cityData) return null;
+  const cityChooser = ambiguity && (
+    <CityChooser
+      query={ambiguity.query}
+      candidates={ambiguity.candidates}
+      onSelect={handleChooseCandidate}
+      onClose={() => setAmbiguity(null)}
+      darkMode={darkMode}
+    />
+  );
+
+  if (!cityData) return cityChooser || null;
+
+  const sectionError = (key) => cityData.errors?.[key];
+  const populationLabel = cityData.population != null ? `${(cityData.population / 1000000).toFixed(1)}M` : 'N/A';
+  const currentAQI = cityData.airQuality?.current;
+  const pollutants = cityData.airQuality?.pollutants;
+  // The scale the loaded reading is on, which trails aqiScale while re-rating
+  const airQualityScale = cityData.airQuality?.scale || aqiScale;
 
   // Weather Chart Data with theme-aware colors
-  const weatherChartData = {
+  const weatherChartData = cityData.weather && {
     labels: cityData.weather.daily.time.map(date => 
       new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
     ),
@@ -496,89 +632,14 @@ const CityDataDashboard = () => {
     }
   };
 
-  // AQI Chart Data with dynamic colors
-  const aqiChartData = {
-    labels: cityData.airQuality.history.slice(0, 8).map(item => 
-      new Date(item.timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })
-    ),
-    datasets: [{
-      label: 'PM2.5 (µg/m³)',
-      data: cityData.airQuality.history.slice(0, 8).map(item => item.pm25),
-      backgroundColor: cityData.airQuality.history.slice(0, 8).map(item => {
-        if (item.pm25 > 150) return darkMode ? 'rgba(239, 68, 68, 0.8)' : '#ef4444';
-        if (item.pm25 > 100) return darkMode ? 'rgba(249, 115, 22, 0.8)' : '#f97316';
-        if (item.pm25 > 50) return darkMode ? 'rgba(234, 179, 8, 0.8)' : '#eab308';
-        return darkMode ? 'rgba(16, 185, 129, 0.8)' : '#10b981';
-      }),
-      borderColor: cityData.airQuality.history.slice(0, 8).map(item => {
-        if (item.pm25 > 150) return '#dc2626';
-        if (item.pm25 > 100) return '#ea580c';
-        if (item.pm25 > 50) return '#ca8a04';
-        return '#059669';
-      }),
-      borderWidth: 2,
-      borderRadius: 8,
-      barPercentage: 0.7,
-      categoryPercentage: 0.8
-    }]
-  };
-
-  const aqiChartOptions = {
-    responsive: true,
-    maintainAspectRatio: false,
-    plugins: {
-      legend: { 
-        display: true,
-        position: 'top',
-        labels: {
-          color: darkMode ? '#d1d5db' : '#374151',
-          font: { size: 12, weight: '500' },
-          padding: 15,
-          usePointStyle: true
-        }
-      },
-      tooltip: {
-        backgroundColor: darkMode ? 'rgba(0, 0, 0, 0.9)' : 'rgba(255, 255, 255, 0.95)',
-        titleColor: darkMode ? '#f3f4f6' : '#1f2937',
-        bodyColor: darkMode ? '#d1d5db' : '#374151',
-        borderColor: darkMode ? '#4b5563' : '#e5e7eb',
-        borderWidth: 1,
-        cornerRadius: 10,
-        padding: 12
-      }
-    },
-    scales: {
-      y: { 
-        beginAtZero: true,
-        grid: { 
-          color: darkMode ? '#374151' : '#f1f5f9',
-          drawBorder: false
-        },
-        ticks: {
-          color: darkMode ? '#d1d5db' : '#374151',
-          font: { size: 11 }
-        }
-      },
-      x: { 
-        grid: { display: false },
-        ticks: {
-          color: darkMode ? '#d1d5db' : '#374151',
-          font: { size: 11 }
-        }
-      }
-    },
-    animation: {
-      duration: 1200,
-      easing: 'easeInOutQuart'
-    }
-  };
-
   const cityImage = CITY_IMAGES[cityData.city.name] || CITY_IMAGES.default;
 
   return (
     <div className={`min-h-screen transition-all duration-700 ${
       darkMode ? 'bg-gray-950 text-white' : 'bg-gradient-to-br from-slate-50 via-white to-slate-100 text-slate-800'
     } ${isTransitioning ? 'opacity-50' : 'opacity-100'}`}>
+      {cityChooser}
+
       {/* Toast Notifications */}
       {toast && (
         <Toast 
@@ -618,11 +679,12 @@ const CityDataDashboard = () => {
                   darkMode ? 'text-gray-400 group-focus-within:text-violet-400' : 'text-slate-400 group-focus-within:text-violet-600'
                 }`}></i>
               </div>
-              <input
-                type="text"
+              <CitySearch
                 value={inputCity}
-                onChange={(e) => setInputCity(e.target.value)}
-                className={`block w-full pl-11 pr-11 py-2.5 border rounded-2xl leading-5 placeholder-slate-400 focus:outline-none focus:ring-2 transition-all duration-300 sm:text-sm ${
+                onChange={setInputCity}
+                onSelect={handleSelectSuggestion}
+                darkMode={darkMode}
+                inputClassName={`block w-full pl-11 pr-11 py-2.5 border rounded-2xl leading-5 placeholder-slate-400 focus:outline-none focus:ring-2 transition-all duration-300 sm:text-sm ${
                   darkMode 
                     ? 'bg-gray-800 border-gray-700 text-white focus:ring-violet-500/50 focus:border-violet-500 focus:bg-gray-750' 
                     : 'bg-slate-50 border-slate-200 focus:ring-violet-500/30 focus:border-violet-500 focus:bg-white'
@@ -641,6 +703,34 @@ const CityDataDashboard = () => {
 
             {/* Right Actions */}
             <div className="flex items-center gap-3">
+              {VIEW_BUTTONS.map((button) => (
+                <button 
+                  key={button.view}
+                  onClick={() => setView(view === button.view ? 'city' : button.view)}
+                  className={`p-2.5 rounded-xl transition-all duration-300 transform hover:scale-110 ${
+                    view === button.view
+                      ? 'text-white bg-violet-600 hover:bg-violet-700'
+                      : darkMode 
+                        ? 'text-violet-300 hover:text-violet-200 bg-gray-800 hover:bg-gray-750' 
+                        : 'text-slate-600 hover:text-violet-600 bg-slate-100 hover:bg-slate-200'
+                  }`}
+                  title={view === button.view ? 'Back to city dashboard' : button.title}
+                >
+                  <i className={`fas ${button.icon} text-lg`}></i>
+                </button>
+              ))}
+              <button 
+                onClick={handleUseMyLocation}
+                disabled={locating}
+                className={`p-2.5 rounded-xl transition-all duration-300 transform hover:scale-110 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none ${
+                  darkMode 
+                    ? 'text-violet-300 hover:text-violet-200 bg-gray-800 hover:bg-gray-750' 
+                    : 'text-slate-600 hover:text-violet-600 bg-slate-100 hover:bg-slate-200'
+                }`}
+                title="Use my location"
+              >
+                <i className={`fas ${locating ? 'fa-spinner fa-spin' : 'fa-location-arrow'} text-lg`}></i>
+              </button>
               <button 
                 onClick={toggleDarkMode}
                 className={`p-2.5 rounded-xl transition-all duration-300 transform hover:scale-110 hover:rotate-12 ${
@@ -683,11 +773,12 @@ const CityDataDashboard = () => {
             <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
               <i className={`fas fa-magnifying-glass ${darkMode ? 'text-gray-400' : 'text-slate-400'}`}></i>
             </div>
-            <input
-              type="text"
+            <CitySearch
               value={inputCity}
-              onChange={(e) => setInputCity(e.target.value)}
-              className={`block w-full pl-11 pr-11 py-2.5 border rounded-2xl leading-5 text-sm transition-all duration-300 ${
+              onChange={setInputCity}
+              onSelect={handleSelectSuggestion}
+              darkMode={darkMode}
+              inputClassName={`block w-full pl-11 pr-11 py-2.5 border rounded-2xl leading-5 text-sm transition-all duration-300 ${
                 darkMode 
                   ? 'bg-gray-800 border-gray-700 text-white placeholder-gray-400 focus:ring-violet-500/50' 
                   : 'bg-slate-50 border-slate-200 placeholder-slate-400 focus:ring-violet-500/30'
@@ -705,6 +796,11 @@ const CityDataDashboard = () => {
 
       {/* Main Content */}
       <div className="pt-16">
+        {view === 'compare' && <CompareView darkMode={darkMode} initialCity={cityData.city} />}
+        {view === 'rankings' && <RankingsView darkMode={darkMode} onSelectCity={handleSelectSuggestion} />}
+        {view === 'regions' && <RegionsView darkMode={darkMode} onSelectCity={handleSelectSuggestion} />}
+        {view === 'city' && (
+        <>
         {/* Hero Section */}
         <header className="relative overflow-hidden">
           <div className="absolute inset-0 z-0">
@@ -727,6 +823,15 @@ const CityDataDashboard = () => {
                   <span className="px-4 py-1.5 bg-violet-500/20 border border-violet-500/30 text-violet-300 text-xs font-semibold rounded-full uppercase tracking-wider backdrop-blur-sm">
                     Major City
                   </span>
+                  {cityData.city.state && (
+                    <span className={`px-4 py-1.5 border text-xs font-semibold rounded-full uppercase tracking-wider backdrop-blur-sm ${
+                      darkMode 
+                        ? 'bg-gray-800/50 border-gray-700 text-gray-300' 
+                        : 'bg-slate-700/30 border-slate-600 text-slate-200'
+                    }`}>
+                      {cityData.city.state}
+                    </span>
+                  )}
                   <span className={`px-4 py-1.5 border text-xs font-semibold rounded-full uppercase tracking-wider backdrop-blur-sm ${
                     darkMode 
                       ? 'bg-gray-800/50 border-gray-700 text-gray-300' 
@@ -752,6 +857,7 @@ const CityDataDashboard = () => {
                     <span>214m Elevation</span>
                   </div>
                 </div>
+                {cityData.livability && <LivabilityScore livability={cityData.livability} />}
               </div>
               
               {/* Leaflet Map */}
@@ -776,9 +882,19 @@ const CityDataDashboard = () => {
                       Lon: {cityData.city.lon.toFixed(4)}
                     </Popup>
                   </Marker>
+                  {cityData.boundary && <CityBoundary boundary={cityData.boundary} />}
+                  <LayersControl position="topright">
+                    {cityData.waterBodies?.geojson && (
+                      <WaterLayers key={cityData.city.displayName} geojson={cityData.waterBodies.geojson} />
+                    )}
+                    {cityData.infrastructure?.geojson && (
+                      <InfrastructureLayers geojson={cityData.infrastructure.geojson} />
+                    )}
+                  </LayersControl>
+                  <MapClickHandler onClick={({ lat, lng }) => loadNearestCity(lat, lng)} />
                 </MapContainer>
-                <div className="absolute bottom-3 right-3 bg-black/60 backdrop-blur-md rounded-lg text-xs px-3 py-1.5 border border-white/20 text-white">
-                  <i className="fas fa-map mr-1.5"></i>Interactive Map
+                <div className="absolute bottom-3 right-3 bg-black/60 backdrop-blur-md rounded-lg text-xs px-3 py-1.5 border border-white/20 text-white pointer-events-none">
+                  <i className="fas fa-hand-pointer mr-1.5"></i>Click to load nearest city
                 </div>
               </div>
             </div>
@@ -800,7 +916,7 @@ const CityDataDashboard = () => {
                   <h3 className={`text-2xl md:text-3xl font-bold mt-2 ${
                     darkMode ? 'text-white' : 'text-slate-900'
                   }`}>
-                    {(cityData.population / 1000000).toFixed(1)}M
+                    {populationLabel}
                   </h3>
                 </div>
                 <div className={`w-12 h-12 rounded-xl flex items-center justify-center transition-all duration-300 hover:scale-110 hover:rotate-12 ${
@@ -811,7 +927,7 @@ const CityDataDashboard = () => {
               </div>
               <p className={`text-xs mt-3 ${
                 darkMode ? 'text-gray-500' : 'text-slate-400'
-              }`}>Census 2011</p>
+              }`}>{cityData.population != null ? 'Census 2011' : 'Data unavailable'}</p>
             </div>
 
             {/* Area */}
@@ -826,7 +942,7 @@ const CityDataDashboard = () => {
                   <h3 className={`text-2xl md:text-3xl font-bold mt-2 ${
                     darkMode ? 'text-white' : 'text-slate-900'
                   }`}>
-                    {cityData.area.toLocaleString()} km²
+                    {cityData.area != null ? `${cityData.area.toLocaleString()} km²` : 'N/A'}
                   </h3>
                 </div>
                 <div className={`w-12 h-12 rounded-xl flex items-center justify-center transition-all duration-300 hover:scale-110 hover:rotate-12 ${
@@ -837,11 +953,11 @@ const CityDataDashboard = () => {
               </div>
               <p className={`text-xs mt-3 ${
                 darkMode ? 'text-gray-500' : 'text-slate-400'
-              }`}>Total Area</p>
+              }`}>{cityData.area != null ? 'Total Area' : 'Data unavailable'}</p>
             </div>
 
             {/* AQI */}
-            <div className={`rounded-2xl shadow-xl p-5 border-l-4 ${getAQIBorderColor(cityData.airQuality.currentAQI.aqi)} transform hover:-translate-y-2 transition-all duration-500 hover:shadow-2xl animate-card-pop animation-delay-200 ${
+            <div className={`rounded-2xl shadow-xl p-5 border-l-4 ${getAQIBorderColor(currentAQI?.category)} transform hover:-translate-y-2 transition-all duration-500 hover:shadow-2xl animate-card-pop animation-delay-200 ${
               darkMode ? 'bg-gray-900' : 'bg-white'
             }`}>
               <div className="flex justify-between items-start">
@@ -849,20 +965,20 @@ const CityDataDashboard = () => {
                   <p className={`text-xs font-medium uppercase tracking-wider ${
                     darkMode ? 'text-gray-400' : 'text-slate-500'
                   }`}>Air Quality</p>
-                  <h3 className={`text-2xl md:text-3xl font-bold mt-2 ${getAQIColor(cityData.airQuality.currentAQI.aqi)}`}>
-                    {cityData.airQuality.currentAQI.aqi}
+                  <h3 className={`text-2xl md:text-3xl font-bold mt-2 ${getAQIColor(currentAQI?.category)}`}>
+                    {currentAQI?.aqi ?? 'N/A'}
                   </h3>
                 </div>
                 <div className={`w-12 h-12 rounded-xl flex items-center justify-center transition-all duration-300 hover:scale-110 hover:rotate-12 ${
-                  getAQIBackground(cityData.airQuality.currentAQI.aqi)
-                } ${getAQIColor(cityData.airQuality.currentAQI.aqi)}`}>
+                  getAQIBackground(currentAQI?.category)
+                } ${getAQIColor(currentAQI?.category)}`}>
                   <i className="fas fa-mask-face text-xl"></i>
                 </div>
               </div>
               <span className={`inline-block mt-3 px-3 py-1 text-xs rounded-full font-medium ${
-                getAQIBackground(cityData.airQuality.currentAQI.aqi)
-              } ${getAQIColor(cityData.airQuality.currentAQI.aqi)}`}>
-                {cityData.airQuality.currentAQI.category}
+                getAQIBackground(currentAQI?.category)
+              } ${getAQIColor(currentAQI?.category)}`}>
+                {currentAQI?.category ?? (cityData.airQuality ? 'No live reading' : 'Data unavailable')}
               </span>
             </div>
 
@@ -878,18 +994,18 @@ const CityDataDashboard = () => {
                   <h3 className={`text-2xl md:text-3xl font-bold mt-2 ${
                     darkMode ? 'text-white' : 'text-slate-900'
                   }`}>
-                    {cityData.weather.current_weather.temperature}°C
+                    {cityData.weather ? `${cityData.weather.current_weather.temperature}°C` : 'N/A'}
                   </h3>
                 </div>
                 <div className={`w-12 h-12 rounded-xl flex items-center justify-center transition-all duration-300 hover:scale-110 hover:rotate-12 ${
                   darkMode ? 'bg-orange-900/30 text-orange-400' : 'bg-orange-50 text-orange-500'
                 }`}>
-                  <i className={`fas ${getWeatherIcon(cityData.weather.current_weather.weathercode, cityData.weather.current_weather.is_day)} text-xl`}></i>
+                  <i className={`fas ${cityData.weather ? getWeatherIcon(cityData.weather.current_weather.weathercode, cityData.weather.current_weather.is_day) : 'fa-temperature-half'} text-xl`}></i>
                 </div>
               </div>
               <p className={`text-xs mt-3 ${
                 darkMode ? 'text-gray-500' : 'text-slate-400'
-              }`}>Wind: {cityData.weather.current_weather.windspeed} km/h</p>
+              }`}>{cityData.weather ? `Wind: ${cityData.weather.current_weather.windspeed} km/h` : 'Data unavailable'}</p>
             </div>
 
             {/* Hospitals */}
@@ -904,7 +1020,7 @@ const CityDataDashboard = () => {
                   <h3 className={`text-2xl md:text-3xl font-bold mt-2 ${
                     darkMode ? 'text-white' : 'text-slate-900'
                   }`}>
-                    {cityData.infrastructure.hospitals}
+                    {cityData.infrastructure ? cityData.infrastructure.hospitals : 'N/A'}
                   </h3>
                 </div>
                 <div className={`w-12 h-12 rounded-xl flex items-center justify-center transition-all duration-300 hover:scale-110 hover:rotate-12 ${
@@ -915,13 +1031,17 @@ const CityDataDashboard = () => {
               </div>
               <p className={`text-xs mt-3 ${
                 darkMode ? 'text-gray-500' : 'text-slate-400'
-              }`}>Registered Facilities</p>
+              }`}>{cityData.infrastructure ? 'Registered Facilities' : 'Data unavailable'}</p>
             </div>
           </div>
         </section>
 
         {/* Main Dashboard Content */}
         <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 space-y-12">
+          {cityData.indicators && (
+            <IndicatorsPanel indicators={cityData.indicators} state={cityData.city.state} darkMode={darkMode} />
+          )}
+
           {/* Weather Section */}
           <section id="weather" className="animate-fade-in-up animation-delay-500">
             <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-6 gap-4">
@@ -941,6 +1061,9 @@ const CityDataDashboard = () => {
               </span>
             </div>
             
+            {!cityData.weather ? (
+              <DataUnavailable darkMode={darkMode} label="Weather" error={sectionError('weather')} />
+            ) : (
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
               {/* Current Weather Card */}
               <div className="bg-gradient-to-br from-sky-500 to-blue-600 dark:from-sky-600 dark:to-blue-700 rounded-3xl p-6 text-white shadow-2xl transform hover:scale-105 transition-all duration-500 hover:shadow-3xl">
@@ -988,6 +1111,13 @@ const CityDataDashboard = () => {
                 </div>
               </div>
             </div>
+            )}
+
+            {cityData.weather?.hourly && (
+              <HourlyForecast weather={cityData.weather} darkMode={darkMode} weatherIcon={getWeatherIcon} />
+            )}
+
+            <WeatherHistory city={cityData.city} darkMode={darkMode} />
           </section>
 
           {/* Pollution Section */}
@@ -1001,14 +1131,45 @@ const CityDataDashboard = () => {
                 </div>
                 Air Quality Index
               </h2>
-              <span className={`px-4 py-2 rounded-full text-sm font-bold ${
-                getAQIBackground(cityData.airQuality.currentAQI.aqi)
-              } ${getAQIColor(cityData.airQuality.currentAQI.aqi)}`}>
-                {cityData.airQuality.currentAQI.category}
-              </span>
+              <div className="flex items-center gap-3 flex-wrap justify-end">
+                <div className={`flex rounded-full p-1 ${darkMode ? 'bg-gray-800' : 'bg-slate-100'}`}>
+                  {AQI_SCALES.map((scale) => (
+                    <button
+                      key={scale.key}
+                      onClick={() => changeAQIScale(scale.key)}
+                      className={`px-3 py-1 rounded-full text-xs font-medium transition-colors duration-300 ${
+                        aqiScale === scale.key
+                          ? 'bg-purple-500 text-white'
+                          : darkMode ? 'text-gray-300 hover:text-white' : 'text-slate-600 hover:text-slate-900'
+                      }`}
+                    >
+                      {scale.label}
+                    </button>
+                  ))}
+                </div>
+                {cityData.airQuality && (
+                  <span className={`text-sm px-4 py-2 rounded-full ${
+                    darkMode ? 'bg-gray-800 text-gray-400' : 'bg-slate-100 text-slate-600'
+                  }`}>
+                    <i className="fas fa-clock mr-2"></i>
+                    Updated {new Date(cityData.airQuality.fetchedAt).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+                  </span>
+                )}
+                {currentAQI && (
+                  <span className={`px-4 py-2 rounded-full text-sm font-bold ${
+                    getAQIBackground(currentAQI.category)
+                  } ${getAQIColor(currentAQI.category)}`}>
+                    {currentAQI.category}
+                  </span>
+                )}
+              </div>
             </div>
 
-            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {!cityData.airQuality ? (
+              <DataUnavailable darkMode={darkMode} label="Air quality" error={sectionError('airQuality')} />
+            ) : (
+            <>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
               {/* Main AQI Gauge */}
               <div className={`rounded-3xl p-8 shadow-xl border flex flex-col items-center justify-center text-center transform hover:scale-105 transition-all duration-500 ${
                 darkMode ? 'bg-gray-900 border-gray-800' : 'bg-white border-slate-200'
@@ -1035,23 +1196,25 @@ const CityDataDashboard = () => {
                       ? 'inset 0 0 20px rgba(0, 0, 0, 0.5)'
                       : 'inset 0 0 20px rgba(0, 0, 0, 0.1)'
                   }}>
-                    <span className={`text-5xl font-black ${getAQIColor(cityData.airQuality.currentAQI.aqi)} drop-shadow-lg`}>
-                      {cityData.airQuality.currentAQI.aqi}
+                    <span className={`text-5xl font-black ${getAQIColor(currentAQI?.category)} drop-shadow-lg`}>
+                      {currentAQI?.aqi ?? '—'}
                     </span>
                     <span className={`text-xs mt-2 uppercase tracking-wider font-semibold ${
                       darkMode ? 'text-gray-400' : 'text-slate-500'
                     }`}>
-                      US AQI
+                      {AQI_SCALES.find((scale) => scale.key === airQualityScale)?.label}
                     </span>
                   </div>
                 </div>
-                <h3 className={`text-2xl font-bold mb-3 ${getAQIColor(cityData.airQuality.currentAQI.aqi)}`}>
-                  {cityData.airQuality.currentAQI.category}
+                <h3 className={`text-2xl font-bold mb-3 ${getAQIColor(currentAQI?.category)}`}>
+                  {currentAQI ? currentAQI.category : 'No live reading'}
                 </h3>
                 <p className={`text-sm mb-6 px-4 leading-relaxed ${
                   darkMode ? 'text-gray-400' : 'text-slate-600'
                 }`}>
-                  Health warnings of emergency conditions. The entire population is more likely to be affected.
+                  {currentAQI
+                    ? AQI_ADVICE[currentAQI.category]
+                    : 'Not enough pollutant readings to rate the air right now.'}
                 </p>
                 
                 <div className="w-full grid grid-cols-2 gap-3">
@@ -1060,14 +1223,19 @@ const CityDataDashboard = () => {
                   }`}>
                     <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>Dominant</p>
                     <p className={`font-bold mt-1 ${darkMode ? 'text-white' : 'text-slate-800'}`}>
-                      {cityData.airQuality.currentAQI.dominentPollutant?.toUpperCase()}
+                      {currentAQI?.dominantPollutant?.toUpperCase() ?? '—'}
                     </p>
                   </div>
                   <div className={`p-3 rounded-xl text-center transition-all duration-300 hover:scale-105 ${
                     darkMode ? 'bg-gray-800 hover:bg-gray-750' : 'bg-slate-50 hover:bg-slate-100'
                   }`}>
-                    <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>Source</p>
-                    <p className={`font-bold mt-1 ${darkMode ? 'text-white' : 'text-slate-800'}`}>WAQI</p>
+                    <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>Nearest station</p>
+                    <p
+                      className={`font-bold mt-1 ${darkMode ? 'text-white' : 'text-slate-800'}`}
+                      title={cityData.airQuality.station?.name ?? undefined}
+                    >
+                      {cityData.airQuality.station ? `${cityData.airQuality.station.aqi} US` : '—'}
+                    </p>
                   </div>
                 </div>
               </div>
@@ -1083,151 +1251,65 @@ const CityDataDashboard = () => {
                   Pollutant Levels
                 </h3>
                 <div className="space-y-6">
-                  {/* PM2.5 */}
-                  <div className="group">
-                    <div className="flex justify-between text-sm mb-2">
-                      <span className={`font-semibold flex items-center gap-2 ${
-                        darkMode ? 'text-gray-300' : 'text-slate-700'
-                      }`}>
-                        <span className="w-2 h-2 rounded-full bg-gradient-to-r from-emerald-500 to-rose-500"></span>
-                        PM2.5
-                      </span>
-                      <span className={`font-bold tabular-nums ${getAQIColor(cityData.airQuality.currentAQI.pollutants.pm25 * 2)}`}>
-                        {cityData.airQuality.currentAQI.pollutants.pm25} µg/m³
-                      </span>
-                    </div>
-                    <div className={`w-full h-3 rounded-full overflow-hidden ${
-                      darkMode ? 'bg-gray-800' : 'bg-slate-100'
-                    }`}>
-                      <div 
-                        className="h-3 rounded-full bg-gradient-to-r from-emerald-500 via-yellow-500 via-orange-500 to-rose-500 transition-all duration-1000 ease-out"
-                        style={{ width: `${Math.min((cityData.airQuality.currentAQI.pollutants.pm25 / 250) * 100, 100)}%` }}
-                      ></div>
-                    </div>
-                  </div>
-                  
-                  {/* PM10 */}
-                  <div className="group">
-                    <div className="flex justify-between text-sm mb-2">
-                      <span className={`font-semibold flex items-center gap-2 ${
-                        darkMode ? 'text-gray-300' : 'text-slate-700'
-                      }`}>
-                        <span className="w-2 h-2 rounded-full bg-gradient-to-r from-emerald-500 to-rose-500"></span>
-                        PM10
-                      </span>
-                      <span className={`font-bold tabular-nums ${getAQIColor(cityData.airQuality.currentAQI.pollutants.pm10 * 2)}`}>
-                        {cityData.airQuality.currentAQI.pollutants.pm10} µg/m³
-                      </span>
-                    </div>
-                    <div className={`w-full h-3 rounded-full overflow-hidden ${
-                      darkMode ? 'bg-gray-800' : 'bg-slate-100'
-                    }`}>
-                      <div 
-                        className="h-3 rounded-full bg-gradient-to-r from-emerald-500 via-yellow-500 via-orange-500 to-rose-500 transition-all duration-1000 ease-out"
-                        style={{ width: `${Math.min((cityData.airQuality.currentAQI.pollutants.pm10 / 350) * 100, 100)}%` }}
-                      ></div>
-                    </div>
-                  </div>
-                  
-                  {/* NO2 */}
-                  <div className="group">
-                    <div className="flex justify-between text-sm mb-2">
-                      <span className={`font-semibold flex items-center gap-2 ${
-                        darkMode ? 'text-gray-300' : 'text-slate-700'
-                      }`}>
-                        <span className="w-2 h-2 rounded-full bg-gradient-to-r from-emerald-500 to-rose-500"></span>
-                        NO₂
-                      </span>
-                      <span className={`font-bold tabular-nums ${getAQIColor(cityData.airQuality.currentAQI.pollutants.no2 * 4)}`}>
-                        {cityData.airQuality.currentAQI.pollutants.no2} µg/m³
-                      </span>
-                    </div>
-                    <div className={`w-full h-3 rounded-full overflow-hidden ${
-                      darkMode ? 'bg-gray-800' : 'bg-slate-100'
-                    }`}>
-                      <div 
-                        className="h-3 rounded-full bg-gradient-to-r from-emerald-500 via-yellow-500 via-orange-500 to-rose-500 transition-all duration-1000 ease-out"
-                        style={{ width: `${Math.min((cityData.airQuality.currentAQI.pollutants.no2 / 80) * 100, 100)}%` }}
-                      ></div>
-                    </div>
-                  </div>
-                  
-                  {/* SO2 */}
-                  <div className="group">
-                    <div className="flex justify-between text-sm mb-2">
-                      <span className={`font-semibold flex items-center gap-2 ${
-                        darkMode ? 'text-gray-300' : 'text-slate-700'
-                      }`}>
-                        <span className="w-2 h-2 rounded-full bg-gradient-to-r from-emerald-500 to-rose-500"></span>
-                        SO₂
-                      </span>
-                      <span className={`font-bold tabular-nums ${getAQIColor(cityData.airQuality.currentAQI.pollutants.so2 * 4)}`}>
-                        {cityData.airQuality.currentAQI.pollutants.so2} µg/m³
-                      </span>
-                    </div>
-                    <div className={`w-full h-3 rounded-full overflow-hidden ${
-                      darkMode ? 'bg-gray-800' : 'bg-slate-100'
-                    }`}>
-                      <div 
-                        className="h-3 rounded-full bg-gradient-to-r from-emerald-500 via-yellow-500 via-orange-500 to-rose-500 transition-all duration-1000 ease-out"
-                        style={{ width: `${Math.min((cityData.airQuality.currentAQI.pollutants.so2 / 80) * 100, 100)}%` }}
-                      ></div>
-                    </div>
-                  </div>
+                  {[
+                    { key: 'pm25', label: 'PM2.5' },
+                    { key: 'pm10', label: 'PM10' },
+                    { key: 'no2', label: 'NO₂' },
+                    { key: 'so2', label: 'SO₂' },
+                  ].map(({ key, label }) => {
+                    const value = pollutants[key];
+                    // Bars and colours follow the pollutant's sub-index on the
+                    // selected scale, not the raw concentration
+                    const index = currentAQI?.subIndices?.[key] ?? null;
+                    return (
+                      <div key={key} className="group">
+                        <div className="flex justify-between text-sm mb-2">
+                          <span className={`font-semibold flex items-center gap-2 ${
+                            darkMode ? 'text-gray-300' : 'text-slate-700'
+                          }`}>
+                            <span className="w-2 h-2 rounded-full bg-gradient-to-r from-emerald-500 to-rose-500"></span>
+                            {label}
+                          </span>
+                          <span
+                            className={`font-bold tabular-nums ${getAQIColor(aqiCategory(index, airQualityScale))}`}
+                            title={index === null ? undefined : `Sub-index ${index}`}
+                          >
+                            {value === null ? 'No reading' : `${Math.round(value)} µg/m³`}
+                          </span>
+                        </div>
+                        <div className={`w-full h-3 rounded-full overflow-hidden ${
+                          darkMode ? 'bg-gray-800' : 'bg-slate-100'
+                        }`}>
+                          <div 
+                            className="h-3 rounded-full bg-gradient-to-r from-emerald-500 via-yellow-500 via-orange-500 to-rose-500 transition-all duration-1000 ease-out"
+                            style={{ width: `${index === null ? 0 : Math.min((index / 500) * 100, 100)}%` }}
+                          ></div>
+                        </div>
+                      </div>
+                    );
+                  })}
 
                   {/* O3 & CO */}
                   <div className="grid grid-cols-2 gap-4 pt-2">
                     <div className={`p-3 rounded-xl ${darkMode ? 'bg-gray-800' : 'bg-slate-50'}`}>
                       <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-slate-500'} mb-1`}>O₃</p>
                       <p className={`font-bold ${darkMode ? 'text-white' : 'text-slate-800'}`}>
-                        {cityData.airQuality.currentAQI.pollutants.o3}
+                        {pollutants.o3 != null ? `${Math.round(pollutants.o3)} µg/m³` : '—'}
                       </p>
                     </div>
                     <div className={`p-3 rounded-xl ${darkMode ? 'bg-gray-800' : 'bg-slate-50'}`}>
                       <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-slate-500'} mb-1`}>CO</p>
                       <p className={`font-bold ${darkMode ? 'text-white' : 'text-slate-800'}`}>
-                        {cityData.airQuality.currentAQI.pollutants.co}
+                        {pollutants.co != null ? `${Math.round(pollutants.co)} µg/m³` : '—'}
                       </p>
                     </div>
                   </div>
                 </div>
               </div>
-
-              {/* 24h Trend Chart */}
-              <div className={`rounded-3xl p-6 shadow-xl border transform hover:scale-[1.02] transition-all duration-500 ${
-                darkMode ? 'bg-gray-900 border-gray-800' : 'bg-white border-slate-200'
-              }`}>
-                <h3 className={`text-lg font-semibold mb-6 flex items-center gap-2 ${
-                  darkMode ? 'text-white' : 'text-slate-900'
-                }`}>
-                  <i className="fas fa-chart-bar text-purple-500"></i>
-                  Recent PM2.5 Trend
-                </h3>
-                <div className="h-52 w-full">
-                  <Bar data={aqiChartData} options={aqiChartOptions} />
-                </div>
-                <div className={`mt-6 pt-4 border-t ${darkMode ? 'border-gray-800' : 'border-slate-200'}`}>
-                  <div className="flex items-center justify-between text-xs gap-2 flex-wrap">
-                    <div className="flex items-center gap-1.5">
-                      <div className="w-3 h-3 rounded-full bg-emerald-500"></div>
-                      <span className={darkMode ? 'text-gray-400' : 'text-slate-600'}>Good</span>
-                    </div>
-                    <div className="flex items-center gap-1.5">
-                      <div className="w-3 h-3 rounded-full bg-yellow-500"></div>
-                      <span className={darkMode ? 'text-gray-400' : 'text-slate-600'}>Moderate</span>
-                    </div>
-                    <div className="flex items-center gap-1.5">
-                      <div className="w-3 h-3 rounded-full bg-orange-500"></div>
-                      <span className={darkMode ? 'text-gray-400' : 'text-slate-600'}>Unhealthy</span>
-                    </div>
-                    <div className="flex items-center gap-1.5">
-                      <div className="w-3 h-3 rounded-full bg-rose-500"></div>
-                      <span className={darkMode ? 'text-gray-400' : 'text-slate-600'}>Hazardous</span>
-                    </div>
-                  </div>
-                </div>
-              </div>
             </div>
+            <AirQualityHistory city={cityData.city} darkMode={darkMode} scale={airQualityScale} />
+            </>
+            )}
           </section>
 
           {/* Infrastructure Section */}
@@ -1241,15 +1323,33 @@ const CityDataDashboard = () => {
                 </div>
                 Infrastructure & Amenities
               </h2>
+              {cityData.infrastructure?.searchArea && (
+                <span className={`text-sm ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>
+                  {cityData.infrastructure.searchArea.type === 'boundary'
+                    ? `Within ${cityData.infrastructure.searchArea.name} limits (${cityData.infrastructure.searchArea.areaKm2.toLocaleString()} km²)`
+                    : `Within ${cityData.infrastructure.searchArea.radiusKm} km of the centre`}
+                </span>
+              )}
             </div>
 
+            {!cityData.infrastructure ? (
+              <DataUnavailable darkMode={darkMode} label="Infrastructure" error={sectionError('infrastructure')} />
+            ) : (
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-5">
               {[
-                { icon: 'fa-hospital', value: cityData.infrastructure.hospitals, label: 'Hospitals', color: 'rose', gradient: 'from-rose-400 to-rose-600' },
-                { icon: 'fa-school', value: cityData.infrastructure.schools, label: 'Schools', color: 'amber', gradient: 'from-amber-400 to-amber-600' },
-                { icon: 'fa-train', value: cityData.infrastructure.railwayStations, label: 'Railway Stations', color: 'blue', gradient: 'from-blue-400 to-blue-600' },
-                { icon: 'fa-graduation-cap', value: cityData.infrastructure.colleges, label: 'Colleges', color: 'purple', gradient: 'from-purple-400 to-purple-600' },
-              ].map((item, index) => (
+                { key: 'hospitals', icon: 'fa-hospital', value: cityData.infrastructure.hospitals, label: 'Hospitals', color: 'rose', gradient: 'from-rose-400 to-rose-600' },
+                { key: 'schools', icon: 'fa-school', value: cityData.infrastructure.schools, label: 'Schools', color: 'amber', gradient: 'from-amber-400 to-amber-600' },
+                { key: 'railwayStations', icon: 'fa-train', value: cityData.infrastructure.railwayStations, label: 'Railway Stations', color: 'blue', gradient: 'from-blue-400 to-blue-600' },
+                { key: 'colleges', icon: 'fa-graduation-cap', value: cityData.infrastructure.colleges, label: 'Colleges', color: 'purple', gradient: 'from-purple-400 to-purple-600' },
+                { key: 'metroStations', icon: 'fa-train-subway', value: cityData.infrastructure.metroStations, label: 'Metro Stations', color: 'emerald', gradient: 'from-emerald-400 to-emerald-600' },
+                { key: 'pharmacies', icon: 'fa-prescription-bottle-medical', value: cityData.infrastructure.pharmacies, label: 'Pharmacies', color: 'pink', gradient: 'from-pink-400 to-pink-600' },
+                { key: 'policeStations', icon: 'fa-building-shield', value: cityData.infrastructure.policeStations, label: 'Police Stations', color: 'indigo', gradient: 'from-indigo-400 to-indigo-600' },
+                { key: 'fireStations', icon: 'fa-fire-extinguisher', value: cityData.infrastructure.fireStations, label: 'Fire Stations', color: 'red', gradient: 'from-red-400 to-red-600' },
+                { key: 'banks', icon: 'fa-landmark', value: cityData.infrastructure.banks, label: 'Banks', color: 'teal', gradient: 'from-teal-400 to-teal-600' },
+                { key: 'parks', icon: 'fa-tree', value: cityData.infrastructure.parks, label: 'Parks', color: 'green', gradient: 'from-green-400 to-green-600' },
+                { key: 'busStations', icon: 'fa-bus', value: cityData.infrastructure.busStations, label: 'Bus Stations', color: 'orange', gradient: 'from-orange-400 to-orange-600' },
+                { key: 'airports', icon: 'fa-plane', value: cityData.infrastructure.airports, label: 'Airports', color: 'sky', gradient: 'from-sky-400 to-sky-600' },
+              ].filter((item) => item.value !== undefined).map((item, index) => (
                 <div 
                   key={index} 
                   className={`rounded-2xl shadow-xl border p-6 flex items-center gap-4 transform hover:-translate-y-2 hover:shadow-2xl transition-all duration-500 ${
@@ -1269,10 +1369,43 @@ const CityDataDashboard = () => {
                     <p className={`text-sm mt-1 ${darkMode ? 'text-gray-400' : 'text-slate-600'}`}>
                       {item.label}
                     </p>
+                    {cityData.infrastructure.unnamed?.[item.key] > 0 && (
+                      <p className={`text-xs mt-0.5 ${darkMode ? 'text-gray-500' : 'text-slate-400'}`}>
+                        +{cityData.infrastructure.unnamed[item.key]} unnamed
+                      </p>
+                    )}
                   </div>
                 </div>
               ))}
             </div>
+            )}
+          </section>
+
+          {/* Water Resources Section */}
+          <section id="water" className="animate-fade-in-up animation-delay-700">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className={`text-3xl font-bold flex items-center gap-3 ${
+                darkMode ? 'text-white' : 'text-slate-900'
+              }`}>
+                <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-cyan-400 to-cyan-600 flex items-center justify-center">
+                  <i className="fas fa-water text-white"></i>
+                </div>
+                Water Resources
+              </h2>
+              {cityData.waterBodies?.searchArea && (
+                <span className={`text-sm ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>
+                  {cityData.waterBodies.searchArea.type === 'boundary'
+                    ? `Within ${cityData.waterBodies.searchArea.name} limits`
+                    : `Within ${cityData.waterBodies.searchArea.radiusKm} km of the centre`}
+                </span>
+              )}
+            </div>
+
+            {!cityData.waterBodies ? (
+              <DataUnavailable darkMode={darkMode} label="Water resources" error={sectionError('waterBodies')} />
+            ) : (
+              <WaterResources waterBodies={cityData.waterBodies} darkMode={darkMode} />
+            )}
           </section>
 
           {/* About Section */}
@@ -1288,19 +1421,25 @@ const CityDataDashboard = () => {
                   <h2 className={`text-3xl font-bold ${
                     darkMode ? 'text-white' : 'text-slate-900'
                   }`}>About {cityData.city.name}</h2>
-                  <img 
-                    src={cityData.wikipedia.thumbnail?.source} 
-                    alt="Wikipedia" 
-                    className="w-6 h-6 rounded-full opacity-60"
-                  />
-                </div>
-                <div className={`prose max-w-none leading-relaxed ${
-                  darkMode ? 'text-gray-300' : 'text-slate-700'
-                }`}>
-                  <p className="text-base">
-                    {cityData.wikipedia.extract}
-                  </p>
+                  {cityData.wikipedia?.thumbnail && (
+                    <img 
+                      src={cityData.wikipedia.thumbnail.source} 
+                      alt="Wikipedia" 
+                      className="w-6 h-6 rounded-full opacity-60"
+                    />
+                  )}
                 </div>
+                {cityData.wikipedia ? (
+                  <div className={`prose max-w-none leading-relaxed ${
+                    darkMode ? 'text-gray-300' : 'text-slate-700'
+                  }`}>
+                    <p className="text-base">
+                      {cityData.wikipedia.extract}
+                    </p>
+                  </div>
+                ) : (
+                  <DataUnavailable darkMode={darkMode} label="Wikipedia summary" error={sectionError('wikipedia')} />
+                )}
               </div>
               
               <div className="lg:w-1/3">
@@ -1316,7 +1455,7 @@ const CityDataDashboard = () => {
                     }`}>
                       <span className={darkMode ? 'text-gray-400' : 'text-slate-600'}>Population</span>
                       <span className={`font-semibold ${darkMode ? 'text-white' : 'text-slate-900'}`}>
-                        {(cityData.population / 1000000).toFixed(1)}M
+                        {populationLabel}
                       </span>
                     </li>
                     <li className={`flex justify-between border-b pb-3 ${
@@ -1324,7 +1463,7 @@ const CityDataDashboard = () => {
                     }`}>
                       <span className={darkMode ? 'text-gray-400' : 'text-slate-600'}>Area</span>
                       <span className={`font-semibold ${darkMode ? 'text-white' : 'text-slate-900'}`}>
-                        {cityData.area} km²
+                        {cityData.area != null ? `${cityData.area} km²` : 'N/A'}
                       </span>
                     </li>
                     <li className={`flex justify-between border-b pb-3 ${
@@ -1347,6 +1486,8 @@ const CityDataDashboard = () => {
             </div>
           </section>
         </main>
+        </>
+        )}
 
         {/* Footer */}
         <footer className={`py-12 mt-16 ${
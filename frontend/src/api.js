@@ -0,0 +1,9 @@
+import axios from 'axios';
+
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
+
+// Shared client for every backend call
+export const api = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 15000, // 15 second timeout
+});
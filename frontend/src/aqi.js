@@ -0,0 +1,55 @@
+// AQI scales the backend can rate on (?scale=)
+export const AQI_SCALES = [
+  { key: 'naqi', label: 'India NAQI' },
+  { key: 'us', label: 'US AQI' },
+];
+
+// Official band colours for both scales' categories, as literal Tailwind
+// classes so the build keeps them
+const CATEGORY_STYLES = {
+  'Good': { text: 'text-emerald-500', bg: 'bg-emerald-100 dark:bg-emerald-900/20', border: 'border-emerald-500', hex: '#10b981' },
+  'Satisfactory': { text: 'text-lime-500', bg: 'bg-lime-100 dark:bg-lime-900/20', border: 'border-lime-500', hex: '#84cc16' },
+  'Moderate': { text: 'text-yellow-500', bg: 'bg-yellow-100 dark:bg-yellow-900/20', border: 'border-yellow-500', hex: '#eab308' },
+  'Poor': { text: 'text-orange-500', bg: 'bg-orange-100 dark:bg-orange-900/20', border: 'border-orange-500', hex: '#f97316' },
+  'Unhealthy for Sensitive Groups': { text: 'text-orange-500', bg: 'bg-orange-100 dark:bg-orange-900/20', border: 'border-orange-500', hex: '#f97316' },
+  'Very Poor': { text: 'text-rose-500', bg: 'bg-rose-100 dark:bg-rose-900/20', border: 'border-rose-500', hex: '#f43f5e' },
+  'Unhealthy': { text: 'text-rose-500', bg: 'bg-rose-100 dark:bg-rose-900/20', border: 'border-rose-500', hex: '#f43f5e' },
+  'Very Unhealthy': { text: 'text-purple-500', bg: 'bg-purple-100 dark:bg-purple-900/20', border: 'border-purple-500', hex: '#a855f7' },
+  'Severe': { text: 'text-red-700', bg: 'bg-red-100 dark:bg-red-900/20', border: 'border-red-700', hex: '#b91c1c' },
+  'Hazardous': { text: 'text-red-700', bg: 'bg-red-100 dark:bg-red-900/20', border: 'border-red-700', hex: '#b91c1c' },
+};
+
+const NO_DATA_STYLE = {
+  light: { text: 'text-slate-500', bg: 'bg-slate-100', border: 'border-slate-300', hex: '#94a3b8' },
+  dark: { text: 'text-gray-400', bg: 'bg-gray-800', border: 'border-gray-600', hex: '#6b7280' },
+};
+
+export const aqiCategoryStyle = (category, darkMode) =>
+  CATEGORY_STYLES[category] || NO_DATA_STYLE[darkMode ? 'dark' : 'light'];
+
+// Index upper bound of each category, mirroring services/aqi.js; used to
+// name the band a pollutant sub-index falls in and for legends
+export const AQI_BANDS = {
+  naqi: [[50, 'Good'], [100, 'Satisfactory'], [200, 'Moderate'], [300, 'Poor'], [400, 'Very Poor'], [500, 'Severe']],
+  us: [[50, 'Good'], [100, 'Moderate'], [150, 'Unhealthy for Sensitive Groups'], [200, 'Unhealthy'], [300, 'Very Unhealthy'], [500, 'Hazardous']],
+};
+
+export const aqiCategory = (aqi, scale) => {
+  if (aqi === null || aqi === undefined) return null;
+  const bands = AQI_BANDS[scale] || AQI_BANDS.naqi;
+  return (bands.find(([upper]) => aqi <= upper) || bands[bands.length - 1])[1];
+};
+
+// Short health note per category, shown under the gauge
+export const AQI_ADVICE = {
+  'Good': 'Air quality is satisfactory and poses little or no risk.',
+  'Satisfactory': 'Minor breathing discomfort is possible for sensitive people.',
+  'Moderate': 'Sensitive groups may feel breathing discomfort; others are rarely affected.',
+  'Poor': 'Prolonged exposure may cause breathing discomfort for most people.',
+  'Unhealthy for Sensitive Groups': 'Children, older adults and people with lung or heart disease should limit long outdoor exertion.',
+  'Very Poor': 'Prolonged exposure may cause respiratory illness.',
+  'Unhealthy': 'Everyone may begin to feel health effects; sensitive groups more seriously.',
+  'Very Unhealthy': 'Health alert: everyone may experience more serious health effects.',
+  'Severe': 'Affects healthy people and seriously impacts those with existing disease.',
+  'Hazardous': 'Health warnings of emergency conditions. The entire population is more likely to be affected.',
+};
@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import { Bar } from 'react-chartjs-2';
+import { api } from '../api';
+import { AQI_BANDS, aqiCategoryStyle } from '../aqi';
+
+const WINDOWS = [7, 30, 90];
+
+// AQI first, then each pollutant the backend aggregates
+const SERIES = [
+  { key: 'aqi', label: 'AQI', unit: '', color: null },
+  { key: 'pm25', label: 'PM2.5', unit: 'µg/m³', color: '#8b5cf6' },
+  { key: 'pm10', label: 'PM10', unit: 'µg/m³', color: '#a16207' },
+  { key: 'no2', label: 'NO₂', unit: 'µg/m³', color: '#ef4444' },
+  { key: 'so2', label: 'SO₂', unit: 'µg/m³', color: '#f59e0b' },
+  { key: 'o3', label: 'O₃', unit: 'µg/m³', color: '#0ea5e9' },
+  { key: 'co', label: 'CO', unit: 'µg/m³', color: '#64748b' },
+];
+
+const dayLabel = (date) => new Date(`${date}T00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// Forecast days are drawn fainter than measured ones
+const withAlpha = (hex, forecast) => `${hex}${forecast ? '55' : 'bb'}`;
+
+// Daily min–max bars with the mean on top for the Pollution section, backed
+// by /api/cities/:id/air-quality/history
+const AirQualityHistory = ({ city, darkMode, scale }) => {
+  const [days, setDays] = useState(WINDOWS[0]);
+  const [seriesKey, setSeriesKey] = useState('aqi');
+  // Response together with the request it answers; see RankingsView
+  const [result, setResult] = useState(null);
+
+  const cityKey = city.id || city.name;
+  const requestKey = JSON.stringify({ cityKey, state: city.id ? undefined : city.state, days, scale });
+  const loading = result?.key !== requestKey;
+  // Keep showing the previous window, dimmed, until the new one arrives
+  const data = result?.data;
+
+  useEffect(() => {
+    const { cityKey: path, ...params } = JSON.parse(requestKey);
+    const controller = new AbortController();
+
+    api.get(`/api/cities/${encodeURIComponent(path)}/air-quality/history`, { params, signal: controller.signal })
+      .then((response) => setResult({ key: requestKey, data: response.data.history }))
+      .catch((err) => {
+        if (err.name === 'CanceledError') return;
+        console.error('Error fetching air quality history:', err);
+        setResult({ key: requestKey, data: null, error: err.response?.data?.error || 'Could not load air quality history' });
+      });
+
+    return () => controller.abort();
+  }, [requestKey]);
+
+  const series = SERIES.find((s) => s.key === seriesKey);
+  const rows = data?.daily || [];
+  const barColor = (row) => {
+    const hex = series.color || aqiCategoryStyle(row.category, darkMode).hex;
+    return withAlpha(hex, row.forecast);
+  };
+
+  const textColor = darkMode ? '#d1d5db' : '#374151';
+  const unitSuffix = series.unit ? ` (${series.unit})` : '';
+
+  const chartData = {
+    labels: rows.map((row) => dayLabel(row.date)),
+    datasets: [
+      {
+        type: 'line',
+        label: `Daily mean${unitSuffix}`,
+        data: rows.map((row) => row[seriesKey]?.mean ?? null),
+        borderColor: darkMode ? '#f3f4f6' : '#1f2937',
+        backgroundColor: darkMode ? '#f3f4f6' : '#1f2937',
+        borderWidth: 2,
+        pointRadius: days > 30 ? 0 : 2,
+        tension: 0.3,
+        segment: {
+          // Dashed through the forecast
+          borderDash: (ctx) => (rows[ctx.p1DataIndex]?.forecast ? [6, 4] : undefined),
+        },
+      },
+      {
+        type: 'bar',
+        label: `Daily range${unitSuffix}`,
+        data: rows.map((row) => (row[seriesKey] ? [row[seriesKey].min, row[seriesKey].max] : null)),
+        backgroundColor: rows.map(barColor),
+        borderRadius: 4,
+        barPercentage: 0.8,
+        categoryPercentage: 0.9,
+      },
+    ],
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { position: 'top', labels: { color: textColor, usePointStyle: true, padding: 12 } },
+      tooltip: {
+        callbacks: {
+          title: (items) => {
+            const row = rows[items[0].dataIndex];
+            return `${dayLabel(row.date)}${row.forecast ? ' (forecast)' : ''}`;
+          },
+          label: (item) => {
+            const value = rows[item.dataIndex][seriesKey];
+            if (!value) return `${series.label}: no data`;
+            return item.dataset.type === 'bar'
+              ? `Range: ${value.min}–${value.max}`
+              : `Mean: ${value.mean}`;
+          },
+          afterBody: (items) => {
+            const row = rows[items[0].dataIndex];
+            return seriesKey === 'aqi' && row.dominantPollutant
+              ? `${row.category} · mostly ${row.dominantPollutant.toUpperCase()}`
+              : '';
+          },
+        },
+      },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        grid: { color: darkMode ? '#374151' : '#f1f5f9' },
+        ticks: { color: textColor },
+      },
+      x: { grid: { display: false }, ticks: { color: textColor, maxRotation: 0, autoSkip: true } },
+    },
+  };
+
+  const chipClass = (active) => `px-3 py-1.5 rounded-full text-xs font-medium transition-colors duration-300 ${
+    active
+      ? 'bg-purple-500 text-white'
+      : darkMode ? 'bg-gray-800 text-gray-300 hover:bg-gray-700' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+  }`;
+
+  return (
+    <div className={`mt-6 rounded-3xl p-6 shadow-xl border ${
+      darkMode ? 'bg-gray-900 border-gray-800' : 'bg-white border-slate-200'
+    }`}>
+      <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4 mb-6">
+        <h3 className={`text-lg font-semibold flex items-center gap-2 ${darkMode ? 'text-white' : 'text-slate-900'}`}>
+          <i className="fas fa-chart-bar text-purple-500"></i>
+          Air Quality History
+        </h3>
+        <div className="flex flex-wrap gap-2">
+          {WINDOWS.map((count) => (
+            <button key={count} onClick={() => setDays(count)} className={chipClass(days === count)}>
+              {count} days
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-6">
+        {SERIES.map((s) => (
+          <button key={s.key} onClick={() => setSeriesKey(s.key)} className={chipClass(seriesKey === s.key)}>
+            {s.label}
+          </button>
+        ))}
+      </div>
+
+      <div className={`h-72 w-full ${loading ? 'opacity-50' : ''} transition-opacity duration-300`}>
+        {result?.error && !data ? (
+          <p className="text-sm text-red-500">{result.error}</p>
+        ) : (
+          <Bar data={chartData} options={chartOptions} />
+        )}
+      </div>
+
+      <div className={`mt-6 pt-4 border-t flex items-center justify-between text-xs gap-2 flex-wrap ${
+        darkMode ? 'border-gray-800 text-gray-400' : 'border-slate-200 text-slate-600'
+      }`}>
+        {seriesKey === 'aqi' ? (
+          AQI_BANDS[scale].map(([upper, category]) => (
+            <div key={category} className="flex items-center gap-1.5" title={`up to ${upper}`}>
+              <div className="w-3 h-3 rounded-full" style={{ backgroundColor: aqiCategoryStyle(category, darkMode).hex }}></div>
+              <span>{category}</span>
+            </div>
+          ))
+        ) : (
+          <span>Daily min–max of hourly concentrations; the line is the daily mean.</span>
+        )}
+        <span className="italic">Faded bars are forecast</span>
+      </div>
+    </div>
+  );
+};
+
+export default AirQualityHistory;
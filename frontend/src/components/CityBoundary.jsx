@@ -0,0 +1,22 @@
+import React, { useEffect } from 'react';
+import { GeoJSON, useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+const STYLE = { color: '#6366f1', weight: 2, fillColor: '#6366f1', fillOpacity: 0.08, dashArray: '6 4' };
+
+// The city's administrative boundary from the backend, with the map fitted
+// to it. Rendered inside the dashboard's MapContainer.
+const CityBoundary = ({ boundary }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    map.fitBounds(L.geoJSON(boundary.geojson).getBounds(), { padding: [8, 8] });
+  }, [map, boundary]);
+
+  return (
+    // GeoJSON data is read once, so a new boundary needs a new layer
+    <GeoJSON key={boundary.osmId} data={boundary.geojson} style={STYLE} interactive={false} />
+  );
+};
+
+export default CityBoundary;
@@ -0,0 +1,68 @@
+import React from 'react';
+
+// Modal shown when a searched name matches places in more than one state
+const CityChooser = ({ query, candidates, onSelect, onClose, darkMode }) => {
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm animate-fade-in">
+      <div className={`w-full max-w-lg rounded-3xl shadow-2xl border p-6 ${
+        darkMode ? 'bg-gray-900 border-gray-800 text-white' : 'bg-white border-slate-200 text-slate-800'
+      }`}>
+        <div className="flex items-start justify-between gap-4 mb-2">
+          <h2 className="text-2xl font-bold flex items-center gap-3">
+            <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-violet-500 to-purple-600 flex items-center justify-center">
+              <i className="fas fa-map-signs text-white"></i>
+            </div>
+            Which {query}?
+          </h2>
+          <button
+            onClick={onClose}
+            className={`p-2 rounded-xl transition-colors duration-300 ${
+              darkMode ? 'text-gray-400 hover:text-white hover:bg-gray-800' : 'text-slate-400 hover:text-slate-700 hover:bg-slate-100'
+            }`}
+            title="Close"
+          >
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+        <p className={`text-sm mb-6 ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>
+          "{query}" matches places in {candidates.length} states. Pick the one you meant.
+        </p>
+
+        <ul className="space-y-3">
+          {candidates.map((candidate) => (
+            <li key={candidate.id || `${candidate.state}-${candidate.lat}-${candidate.lon}`}>
+              <button
+                onClick={() => onSelect(candidate)}
+                className={`w-full text-left rounded-2xl border p-4 flex items-center justify-between gap-4 transition-all duration-300 hover:-translate-y-0.5 hover:shadow-lg ${
+                  darkMode
+                    ? 'bg-gray-800 border-gray-700 hover:border-violet-500'
+                    : 'bg-slate-50 border-slate-200 hover:border-violet-500'
+                }`}
+              >
+                <div>
+                  <p className="font-semibold">
+                    {candidate.name}, {candidate.state}
+                  </p>
+                  <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>
+                    {candidate.district && <>District: {candidate.district} · </>}
+                    {candidate.lat != null && `${candidate.lat.toFixed(2)}° N, ${candidate.lon.toFixed(2)}° E`}
+                  </p>
+                </div>
+                {candidate.population != null && (
+                  <span className={`shrink-0 text-xs px-3 py-1 rounded-full ${
+                    darkMode ? 'bg-violet-900/30 text-violet-300' : 'bg-violet-50 text-violet-700'
+                  }`}>
+                    <i className="fas fa-users mr-1.5"></i>
+                    {candidate.population.toLocaleString()}
+                  </span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default CityChooser;
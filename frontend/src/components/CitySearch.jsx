@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { api } from '../api';
+
+// Debounce before asking the server for suggestions
+const SUGGEST_DELAY_MS = 200;
+const MIN_QUERY_LENGTH = 2;
+
+// Text input with a typeahead dropdown backed by /api/search.
+// Arrow keys move through suggestions, Enter picks one, Escape closes.
+const CitySearch = ({ value, onChange, onSelect, darkMode, inputClassName, placeholder }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const skipNextFetch = useRef(false);
+
+  // Suggestions for a previous, longer query are stale once the input is cleared
+  const visible = value.trim().length >= MIN_QUERY_LENGTH ? suggestions : [];
+
+  useEffect(() => {
+    // Picking a suggestion rewrites the input; don't search for it again
+    if (skipNextFetch.current) {
+      skipNextFetch.current = false;
+      return;
+    }
+
+    const query = value.trim();
+    if (query.length < MIN_QUERY_LENGTH) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get('/api/search', {
+          params: { q: query, limit: 8 },
+          signal: controller.signal,
+        });
+        setSuggestions(response.data.results);
+        setActiveIndex(-1);
+        setOpen(true);
+      } catch (err) {
+        if (err.name !== 'CanceledError') {
+          console.error('Error fetching suggestions:', err);
+        }
+      }
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value]);
+
+  const select = (suggestion) => {
+    // An unchanged input never re-runs the effect, which would leave the
+    // flag set and swallow the next keystroke's search
+    if (suggestion.name !== value) skipNextFetch.current = true;
+    setOpen(false);
+    setSuggestions([]);
+    onSelect(suggestion);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || visible.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((i) => (i + 1) % visible.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((i) => (i <= 0 ? visible.length - 1 : i - 1));
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      // Keep the surrounding form from submitting the raw text
+      e.preventDefault();
+      select(visible[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <>
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onFocus={() => visible.length > 0 && setOpen(true)}
+        onBlur={() => setOpen(false)}
+        className={inputClassName}
+        placeholder={placeholder}
+        role="combobox"
+        aria-expanded={open}
+        aria-autocomplete="list"
+        autoComplete="off"
+      />
+      {open && visible.length > 0 && (
+        <ul
+          role="listbox"
+          className={`absolute left-0 right-0 top-full mt-2 z-50 rounded-2xl border shadow-2xl overflow-hidden ${
+            darkMode ? 'bg-gray-900 border-gray-700' : 'bg-white border-slate-200'
+          }`}
+        >
+          {visible.map((suggestion, index) => (
+            <li
+              key={suggestion.id}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                select(suggestion);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`px-4 py-2.5 cursor-pointer flex items-center justify-between gap-3 text-sm transition-colors duration-150 ${
+                index === activeIndex
+                  ? darkMode ? 'bg-violet-500/20' : 'bg-violet-50'
+                  : ''
+              }`}
+            >
+              <span className="flex items-center gap-2 min-w-0">
+                <i className={`fas fa-location-dot ${darkMode ? 'text-violet-400' : 'text-violet-600'}`}></i>
+                <span className={`font-medium truncate ${darkMode ? 'text-white' : 'text-slate-800'}`}>
+                  {suggestion.name}
+                </span>
+                {suggestion.district && suggestion.district !== suggestion.name && (
+                  <span className={`truncate ${darkMode ? 'text-gray-500' : 'text-slate-400'}`}>
+                    {suggestion.district}
+                  </span>
+                )}
+              </span>
+              <span className={`shrink-0 text-xs px-2 py-0.5 rounded-full ${
+                darkMode ? 'bg-gray-800 text-gray-400' : 'bg-slate-100 text-slate-500'
+              }`}>
+                {suggestion.state}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+};
+
+export default CitySearch;
@@ -0,0 +1,263 @@
+import React, { useState } from 'react';
+import { Line, Bar } from 'react-chartjs-2';
+import { api } from '../api';
+import CitySearch from './CitySearch';
+
+const MIN_CITIES = 2;
+const MAX_CITIES = 4;
+
+// One colour per compared city, used for chips, table headers and chart series
+const CITY_COLORS = ['#8b5cf6', '#f97316', '#10b981', '#3b82f6'];
+
+const INFRA_ROWS = [
+  { key: 'hospitals', label: 'Hospitals' },
+  { key: 'schools', label: 'Schools' },
+  { key: 'colleges', label: 'Colleges' },
+  { key: 'railwayStations', label: 'Railway Stations' },
+  { key: 'metroStations', label: 'Metro Stations' },
+];
+
+const formatNumber = (value, suffix = '') =>
+  value != null ? `${value.toLocaleString()}${suffix}` : 'N/A';
+
+// Rows of the comparison table; `value` renders one city's cell
+const TABLE_ROWS = [
+  { label: 'Population', value: (c) => formatNumber(c.population) },
+  { label: 'Area', value: (c) => formatNumber(c.area, ' km²') },
+  { label: 'Density', value: (c) => formatNumber(c.density, ' /km²') },
+  { label: 'Temperature', value: (c) => formatNumber(c.weather?.current.temperature, '°C') },
+  { label: 'Wind', value: (c) => formatNumber(c.weather?.current.windspeed, ' km/h') },
+  {
+    label: 'AQI',
+    value: (c) => (c.airQuality ? `${c.airQuality.aqi} (${c.airQuality.category})` : 'N/A'),
+  },
+  ...INFRA_ROWS.map((row) => ({ label: row.label, value: (c) => formatNumber(c.infrastructure?.[row.key]) })),
+];
+
+const chartOptions = (darkMode) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  plugins: {
+    legend: {
+      position: 'top',
+      labels: {
+        color: darkMode ? '#d1d5db' : '#374151',
+        font: { size: 12, weight: '500' },
+        padding: 15,
+        usePointStyle: true,
+      },
+    },
+  },
+  scales: {
+    y: {
+      grid: { color: darkMode ? '#374151' : '#f1f5f9' },
+      ticks: { color: darkMode ? '#d1d5db' : '#374151', font: { size: 11 } },
+    },
+    x: {
+      grid: { display: false },
+      ticks: { color: darkMode ? '#d1d5db' : '#374151', font: { size: 11 } },
+    },
+  },
+});
+
+// Pick 2–4 cities and show them side by side, backed by /api/compare
+const CompareView = ({ darkMode, initialCity }) => {
+  const [selected, setSelected] = useState(() =>
+    initialCity?.id ? [{ id: initialCity.id, name: initialCity.name, state: initialCity.state }] : []
+  );
+  const [input, setInput] = useState('');
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const addCity = (suggestion) => {
+    setInput('');
+    if (selected.length >= MAX_CITIES || selected.some((c) => c.id === suggestion.id)) return;
+    setSelected([...selected, { id: suggestion.id, name: suggestion.name, state: suggestion.state }]);
+  };
+
+  const removeCity = (id) => setSelected(selected.filter((c) => c.id !== id));
+
+  const compare = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await api.get('/api/compare', {
+        params: { cities: selected.map((c) => c.id).join(',') },
+      });
+      setResults(response.data.cities);
+    } catch (err) {
+      console.error('Error comparing cities:', err);
+      setError(err.response?.data?.error || 'Could not load the comparison');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loaded = (results || []).filter((entry) => entry.city);
+  const failed = (results || []).filter((entry) => !entry.city);
+  const withWeather = loaded.filter((entry) => entry.weather);
+
+  const temperatureChartData = withWeather.length > 0 && {
+    labels: withWeather[0].weather.daily.time.map((date) =>
+      new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+    ),
+    datasets: withWeather.flatMap((entry) => {
+      const color = CITY_COLORS[loaded.indexOf(entry)];
+      return [
+        {
+          label: `${entry.city.name} max (°C)`,
+          data: entry.weather.daily.max,
+          borderColor: color,
+          backgroundColor: color,
+          tension: 0.4,
+          borderWidth: 3,
+          pointRadius: 3,
+        },
+        {
+          label: `${entry.city.name} min (°C)`,
+          data: entry.weather.daily.min,
+          borderColor: color,
+          backgroundColor: color,
+          tension: 0.4,
+          borderWidth: 2,
+          borderDash: [5, 5],
+          pointRadius: 2,
+        },
+      ];
+    }),
+  };
+
+  const infrastructureChartData = loaded.length > 0 && {
+    labels: INFRA_ROWS.map((row) => row.label),
+    datasets: loaded.map((entry, i) => ({
+      label: entry.city.name,
+      data: INFRA_ROWS.map((row) => entry.infrastructure?.[row.key] ?? null),
+      backgroundColor: CITY_COLORS[i],
+      borderRadius: 6,
+    })),
+  };
+
+  const cardClass = `rounded-3xl shadow-xl border p-6 ${
+    darkMode ? 'bg-gray-900 border-gray-800' : 'bg-white border-slate-100'
+  }`;
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-slate-500';
+
+  return (
+    <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 space-y-8 animate-fade-in-up">
+      <h2 className={`text-3xl font-bold flex items-center gap-3 ${darkMode ? 'text-white' : 'text-slate-900'}`}>
+        <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-violet-500 to-purple-600 flex items-center justify-center">
+          <i className="fas fa-scale-balanced text-white"></i>
+        </div>
+        Compare Cities
+      </h2>
+
+      {/* City picker */}
+      <div className={cardClass}>
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          {selected.map((city, i) => (
+            <span
+              key={city.id}
+              className="flex items-center gap-2 px-3 py-1.5 rounded-full text-sm font-medium text-white"
+              style={{ backgroundColor: CITY_COLORS[i] }}
+            >
+              {city.name}, {city.state}
+              <button onClick={() => removeCity(city.id)} title={`Remove ${city.name}`}>
+                <i className="fas fa-times"></i>
+              </button>
+            </span>
+          ))}
+          {selected.length === 0 && (
+            <span className={`text-sm ${mutedClass}`}>Add {MIN_CITIES}–{MAX_CITIES} cities to compare.</span>
+          )}
+        </div>
+        <div className="flex flex-col sm:flex-row gap-3">
+          <div className="relative flex-1">
+            <CitySearch
+              value={input}
+              onChange={setInput}
+              onSelect={addCity}
+              darkMode={darkMode}
+              inputClassName={`block w-full px-4 py-2.5 border rounded-2xl text-sm focus:outline-none focus:ring-2 disabled:opacity-50 ${
+                darkMode
+                  ? 'bg-gray-800 border-gray-700 text-white placeholder-gray-400 focus:ring-violet-500/50'
+                  : 'bg-slate-50 border-slate-200 placeholder-slate-400 focus:ring-violet-500/30'
+              }`}
+              placeholder={selected.length >= MAX_CITIES ? `Up to ${MAX_CITIES} cities` : 'Add a city...'}
+            />
+          </div>
+          <button
+            onClick={compare}
+            disabled={selected.length < MIN_CITIES || loading}
+            className="flex items-center justify-center gap-2 px-6 py-2.5 rounded-2xl text-sm font-medium text-white shadow-lg bg-gradient-to-r from-violet-600 to-purple-700 hover:from-violet-700 hover:to-purple-800 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <i className={`fas ${loading ? 'fa-spinner fa-spin' : 'fa-chart-column'}`}></i>
+            {loading ? 'Comparing...' : 'Compare'}
+          </button>
+        </div>
+        {error && <p className="text-sm text-red-500 mt-3">{error}</p>}
+      </div>
+
+      {failed.map((entry) => (
+        <p key={entry.query} className="text-sm text-amber-500">
+          <i className="fas fa-triangle-exclamation mr-2"></i>
+          {entry.query}: {entry.error}
+        </p>
+      ))}
+
+      {loaded.length > 0 && (
+        <>
+          {/* Aligned table */}
+          <div className={`${cardClass} overflow-x-auto`}>
+            <table className="w-full text-sm">
+              <thead>
+                <tr>
+                  <th className={`text-left py-3 pr-4 font-medium ${mutedClass}`}>Metric</th>
+                  {loaded.map((entry, i) => (
+                    <th key={entry.city.id || entry.query} className="text-right py-3 px-4 font-semibold" style={{ color: CITY_COLORS[i] }}>
+                      {entry.city.name}
+                      <span className={`block text-xs font-normal ${mutedClass}`}>{entry.city.state}</span>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {TABLE_ROWS.map((row) => (
+                  <tr key={row.label} className={`border-t ${darkMode ? 'border-gray-800' : 'border-slate-100'}`}>
+                    <td className={`py-3 pr-4 ${mutedClass}`}>{row.label}</td>
+                    {loaded.map((entry) => (
+                      <td key={entry.city.id || entry.query} className="py-3 px-4 text-right font-medium">
+                        {row.value(entry)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <div className={cardClass}>
+              <h3 className={`font-semibold mb-4 ${darkMode ? 'text-white' : 'text-slate-800'}`}>7-Day Temperatures</h3>
+              <div className="h-80">
+                {temperatureChartData ? (
+                  <Line data={temperatureChartData} options={chartOptions(darkMode)} />
+                ) : (
+                  <p className={`text-sm ${mutedClass}`}>Weather data unavailable.</p>
+                )}
+              </div>
+            </div>
+            <div className={cardClass}>
+              <h3 className={`font-semibold mb-4 ${darkMode ? 'text-white' : 'text-slate-800'}`}>Infrastructure</h3>
+              <div className="h-80">
+                <Bar data={infrastructureChartData} options={chartOptions(darkMode)} />
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </main>
+  );
+};
+
+export default CompareView;
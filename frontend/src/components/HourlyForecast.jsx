@@ -0,0 +1,208 @@
+import React, { useState } from 'react';
+import { Line } from 'react-chartjs-2';
+
+const HOUR_WINDOWS = [24, 48, 72];
+
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const compassPoint = (degrees) => COMPASS[Math.round(degrees / 45) % 8];
+
+const uvClass = (uv) => {
+  if (uv >= 8) return 'text-red-500';
+  if (uv >= 6) return 'text-orange-500';
+  if (uv >= 3) return 'text-yellow-500';
+  return 'text-emerald-500';
+};
+
+// Hour rows from the current hour on; Open-Meteo times are city-local
+// "YYYY-MM-DDTHH:MM" strings, so they compare correctly as text
+const upcomingHours = (weather, count) => {
+  const { hourly } = weather;
+  const currentHour = weather.current_weather.time.slice(0, 13);
+  const start = Math.max(hourly.time.findIndex((time) => time.slice(0, 13) >= currentHour), 0);
+
+  return hourly.time.slice(start, start + count).map((time, i) => ({
+    time,
+    temperature: hourly.temperature_2m[start + i],
+    apparent: hourly.apparent_temperature[start + i],
+    humidity: hourly.relative_humidity_2m[start + i],
+    windSpeed: hourly.wind_speed_10m[start + i],
+    windDirection: hourly.wind_direction_10m[start + i],
+    uv: hourly.uv_index[start + i],
+    precipitationProbability: hourly.precipitation_probability[start + i],
+    weatherCode: hourly.weather_code[start + i],
+    isDay: hourly.is_day[start + i],
+  }));
+};
+
+const hourLabel = (time) => {
+  const hour = Number(time.slice(11, 13));
+  const suffix = hour < 12 ? 'am' : 'pm';
+  return `${hour % 12 || 12}${suffix}`;
+};
+
+// Scrollable hour-by-hour strip plus a multi-axis chart for the Weather section
+const HourlyForecast = ({ weather, darkMode, weatherIcon }) => {
+  const [hoursShown, setHoursShown] = useState(HOUR_WINDOWS[0]);
+  const hours = upcomingHours(weather, hoursShown);
+
+  const textColor = darkMode ? '#d1d5db' : '#374151';
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-slate-500';
+
+  const chartData = {
+    labels: hours.map((h) => hourLabel(h.time)),
+    datasets: [
+      {
+        label: 'Temperature (°C)',
+        data: hours.map((h) => h.temperature),
+        borderColor: '#f97316',
+        backgroundColor: '#f97316',
+        tension: 0.4,
+        pointRadius: 0,
+        borderWidth: 3,
+        yAxisID: 'temperature',
+      },
+      {
+        label: 'Feels like (°C)',
+        data: hours.map((h) => h.apparent),
+        borderColor: '#ef4444',
+        backgroundColor: '#ef4444',
+        borderDash: [5, 5],
+        tension: 0.4,
+        pointRadius: 0,
+        borderWidth: 2,
+        yAxisID: 'temperature',
+      },
+      {
+        label: 'Humidity (%)',
+        data: hours.map((h) => h.humidity),
+        borderColor: '#06b6d4',
+        backgroundColor: '#06b6d4',
+        tension: 0.4,
+        pointRadius: 0,
+        borderWidth: 2,
+        yAxisID: 'percent',
+      },
+      {
+        label: 'Rain chance (%)',
+        data: hours.map((h) => h.precipitationProbability),
+        borderColor: '#3b82f6',
+        backgroundColor: darkMode ? 'rgba(59, 130, 246, 0.2)' : 'rgba(59, 130, 246, 0.12)',
+        fill: true,
+        stepped: true,
+        pointRadius: 0,
+        borderWidth: 1,
+        yAxisID: 'percent',
+      },
+      {
+        label: 'Wind (km/h)',
+        data: hours.map((h) => h.windSpeed),
+        borderColor: '#10b981',
+        backgroundColor: '#10b981',
+        tension: 0.4,
+        pointRadius: 0,
+        borderWidth: 2,
+        yAxisID: 'wind',
+      },
+      {
+        label: 'UV index',
+        data: hours.map((h) => h.uv),
+        borderColor: '#a855f7',
+        backgroundColor: '#a855f7',
+        tension: 0.4,
+        pointRadius: 0,
+        borderWidth: 2,
+        yAxisID: 'uv',
+      },
+    ],
+  };
+
+  const axis = (position, title, extra = {}) => ({
+    position,
+    title: { display: true, text: title, color: textColor },
+    grid: { display: position === 'left', color: darkMode ? '#374151' : '#f1f5f9' },
+    ticks: { color: textColor, font: { size: 11 } },
+    ...extra,
+  });
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { position: 'top', labels: { color: textColor, usePointStyle: true, padding: 12 } },
+    },
+    scales: {
+      temperature: axis('left', '°C'),
+      percent: axis('right', '%', { min: 0, max: 100 }),
+      wind: axis('right', 'km/h', { beginAtZero: true }),
+      uv: axis('right', 'UV', { beginAtZero: true, suggestedMax: 11 }),
+      x: { grid: { display: false }, ticks: { color: textColor, maxRotation: 0, autoSkip: true } },
+    },
+  };
+
+  return (
+    <div className={`mt-6 rounded-3xl p-6 shadow-xl border ${
+      darkMode ? 'bg-gray-900 border-gray-800' : 'bg-white border-slate-200'
+    }`}>
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <h3 className={`text-lg font-semibold flex items-center gap-2 ${darkMode ? 'text-white' : 'text-slate-900'}`}>
+          <i className="fas fa-clock text-sky-500"></i>
+          Hourly Forecast
+        </h3>
+        <div className="flex gap-2">
+          {HOUR_WINDOWS.map((count) => (
+            <button
+              key={count}
+              onClick={() => setHoursShown(count)}
+              className={`px-3 py-1.5 rounded-full text-xs font-medium transition-colors duration-300 ${
+                hoursShown === count
+                  ? 'bg-sky-500 text-white'
+                  : darkMode ? 'bg-gray-800 text-gray-300 hover:bg-gray-700' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+              }`}
+            >
+              {count}h
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Hour strip */}
+      <div className="flex gap-3 overflow-x-auto pb-3 -mx-1 px-1">
+        {hours.map((hour) => (
+          <div
+            key={hour.time}
+            className={`shrink-0 w-24 rounded-2xl p-3 text-center border ${
+              darkMode ? 'bg-gray-800 border-gray-700' : 'bg-slate-50 border-slate-100'
+            }`}
+          >
+            <p className={`text-xs font-medium ${mutedClass}`}>{hourLabel(hour.time)}</p>
+            <i className={`fas ${weatherIcon(hour.weatherCode, hour.isDay)} text-xl my-2 text-sky-500`}></i>
+            <p className="text-lg font-bold">{Math.round(hour.temperature)}°</p>
+            <p className={`text-xs ${mutedClass}`}>Feels {Math.round(hour.apparent)}°</p>
+            <div className={`mt-2 space-y-1 text-xs ${mutedClass}`}>
+              <p title="Chance of rain"><i className="fas fa-umbrella mr-1 text-blue-500"></i>{hour.precipitationProbability ?? '–'}%</p>
+              <p title="Humidity"><i className="fas fa-droplet mr-1 text-cyan-500"></i>{hour.humidity}%</p>
+              <p title={`Wind from ${hour.windDirection}°`}>
+                <i
+                  className="fas fa-location-arrow mr-1 text-emerald-500 inline-block"
+                  // The icon points north-east; turn it to where the wind blows to
+                  style={{ transform: `rotate(${hour.windDirection + 135}deg)` }}
+                ></i>
+                {Math.round(hour.windSpeed)} {compassPoint(hour.windDirection)}
+              </p>
+              <p title="UV index" className={uvClass(hour.uv)}>
+                <i className="fas fa-sun mr-1"></i>UV {hour.uv != null ? Math.round(hour.uv) : '–'}
+              </p>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="h-72 w-full mt-4">
+        <Line data={chartData} options={chartOptions} />
+      </div>
+    </div>
+  );
+};
+
+export default HourlyForecast;
@@ -0,0 +1,103 @@
+import React from 'react';
+
+const RATE_ITEMS = [
+  { key: 'density', label: 'Density', unit: 'people / km²', icon: 'fa-people-group', color: 'text-violet-500' },
+  { key: 'hospitalsPer100k', label: 'Hospitals', unit: 'per 100k residents', icon: 'fa-hospital', color: 'text-rose-500' },
+  { key: 'schoolsPer100k', label: 'Schools', unit: 'per 100k residents', icon: 'fa-school', color: 'text-blue-500' },
+  { key: 'collegesPer100k', label: 'Colleges', unit: 'per 100k residents', icon: 'fa-graduation-cap', color: 'text-purple-500' },
+  { key: 'waterBodiesPerKm2', label: 'Water Bodies', unit: 'per km²', icon: 'fa-water', color: 'text-cyan-500' },
+];
+
+const PERCENTILE_ITEMS = [
+  { key: 'population', label: 'Population' },
+  { key: 'area', label: 'Area' },
+  { key: 'density', label: 'Density' },
+];
+
+// 1 → "1st", 12 → "12th", 23 → "23rd"
+const ordinal = (n) => {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  const suffix = teen ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+  return `${n}${suffix}`;
+};
+
+// Horizontal bar showing a 0–100 percentile
+const PercentileBar = ({ label, value, darkMode }) => (
+  <div>
+    <div className="flex justify-between text-xs mb-1">
+      <span className={darkMode ? 'text-gray-400' : 'text-slate-500'}>{label}</span>
+      <span className="font-semibold">{value != null ? ordinal(value) : 'N/A'}</span>
+    </div>
+    <div className={`h-2 rounded-full overflow-hidden ${darkMode ? 'bg-gray-800' : 'bg-slate-100'}`}>
+      <div
+        className="h-full rounded-full bg-gradient-to-r from-violet-500 to-purple-600 transition-all duration-700"
+        style={{ width: `${value ?? 0}%` }}
+      ></div>
+    </div>
+  </div>
+);
+
+// Derived ratios and percentile ranks from the profile's `indicators` block
+const IndicatorsPanel = ({ indicators, state, darkMode }) => {
+  const cardClass = `rounded-3xl shadow-xl border p-6 ${
+    darkMode ? 'bg-gray-900 border-gray-800' : 'bg-white border-slate-100'
+  }`;
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-slate-500';
+
+  return (
+    <section id="indicators" className="animate-fade-in-up animation-delay-400">
+      <h2 className={`text-3xl font-bold flex items-center gap-3 mb-6 ${darkMode ? 'text-white' : 'text-slate-900'}`}>
+        <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-violet-500 to-purple-600 flex items-center justify-center">
+          <i className="fas fa-chart-simple text-white"></i>
+        </div>
+        Key Indicators
+      </h2>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 grid grid-cols-2 md:grid-cols-3 gap-4">
+          {RATE_ITEMS.map((item) => (
+            <div key={item.key} className={cardClass}>
+              <p className={`text-xs uppercase tracking-wide ${mutedClass}`}>
+                <i className={`fas ${item.icon} mr-2 ${item.color}`}></i>{item.label}
+              </p>
+              <p className="text-2xl font-bold mt-2">
+                {indicators[item.key] != null ? indicators[item.key].toLocaleString() : 'N/A'}
+              </p>
+              <p className={`text-xs mt-1 ${mutedClass}`}>{item.unit}</p>
+            </div>
+          ))}
+        </div>
+
+        <div className={`${cardClass} space-y-5`}>
+          <div>
+            <h3 className="font-semibold">Percentile Rank</h3>
+            <p className={`text-xs mt-1 ${mutedClass}`}>Among all dataset cities</p>
+          </div>
+          {PERCENTILE_ITEMS.map((item) => (
+            <PercentileBar
+              key={item.key}
+              label={item.label}
+              value={indicators.percentiles[item.key].all}
+              darkMode={darkMode}
+            />
+          ))}
+          {state && (
+            <>
+              <p className={`text-xs pt-2 ${mutedClass}`}>Among cities in {state}</p>
+              {PERCENTILE_ITEMS.map((item) => (
+                <PercentileBar
+                  key={item.key}
+                  label={item.label}
+                  value={indicators.percentiles[item.key].state}
+                  darkMode={darkMode}
+                />
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default IndicatorsPanel;
@@ -0,0 +1,90 @@
+import React from 'react';
+import { LayersControl, LayerGroup, Marker, Popup } from 'react-leaflet';
+import MarkerClusterGroup from 'react-leaflet-cluster';
+import L from 'leaflet';
+import 'react-leaflet-cluster/dist/assets/MarkerCluster.css';
+import 'react-leaflet-cluster/dist/assets/MarkerCluster.Default.css';
+
+// One overlay per infrastructure category, in the order of the map's layer control
+const CATEGORIES = [
+  { key: 'hospitals', label: 'Hospitals', icon: 'fa-hospital', color: '#f43f5e' },
+  { key: 'schools', label: 'Schools', icon: 'fa-school', color: '#f59e0b' },
+  { key: 'colleges', label: 'Colleges', icon: 'fa-graduation-cap', color: '#a855f7' },
+  { key: 'railwayStations', label: 'Railway stations', icon: 'fa-train', color: '#3b82f6' },
+  { key: 'metroStations', label: 'Metro stations', icon: 'fa-train-subway', color: '#10b981' },
+  { key: 'pharmacies', label: 'Pharmacies', icon: 'fa-prescription-bottle-medical', color: '#ec4899' },
+  { key: 'policeStations', label: 'Police stations', icon: 'fa-building-shield', color: '#1e40af' },
+  { key: 'fireStations', label: 'Fire stations', icon: 'fa-fire-extinguisher', color: '#dc2626' },
+  { key: 'banks', label: 'Banks', icon: 'fa-landmark', color: '#0d9488' },
+  { key: 'parks', label: 'Parks', icon: 'fa-tree', color: '#16a34a' },
+  { key: 'busStations', label: 'Bus stations', icon: 'fa-bus', color: '#ea580c' },
+  { key: 'airports', label: 'Airports', icon: 'fa-plane', color: '#0284c7' },
+];
+
+// Shown when the map opens; the rest are a click away in the layer control
+const DEFAULT_LAYERS = ['hospitals', 'colleges', 'railwayStations', 'metroStations', 'airports'];
+
+// Round Font Awesome pin in the category colour
+const markerIcon = ({ icon, color }) => L.divIcon({
+  className: '',
+  html: `<div style="background:${color}" class="w-7 h-7 rounded-full border-2 border-white shadow-lg flex items-center justify-center text-white text-xs"><i class="fas ${icon}"></i></div>`,
+  iconSize: [28, 28],
+  iconAnchor: [14, 14],
+  popupAnchor: [0, -14],
+});
+
+// Cluster bubble in the category colour with the number of facilities inside
+const clusterIcon = ({ color }) => (cluster) => L.divIcon({
+  className: '',
+  html: `<div style="background:${color}" class="w-9 h-9 rounded-full border-2 border-white shadow-lg flex items-center justify-center text-white text-xs font-bold">${cluster.getChildCount()}</div>`,
+  iconSize: [36, 36],
+});
+
+const ICONS = Object.fromEntries(CATEGORIES.map((category) => [category.key, markerIcon(category)]));
+
+// Toggleable, clustered marker layers for the infrastructure GeoJSON.
+// Rendered inside the dashboard map's LayersControl.
+const InfrastructureLayers = ({ geojson }) => {
+  const features = geojson?.features || [];
+
+  return (
+    <>
+      {CATEGORIES.map((category) => {
+        const points = features.filter((f) => f.properties.category === category.key);
+        return (
+          <LayersControl.Overlay
+            key={category.key}
+            name={`${category.label} (${points.length})`}
+            checked={DEFAULT_LAYERS.includes(category.key)}
+          >
+            <LayerGroup>
+              <MarkerClusterGroup
+                chunkedLoading
+                showCoverageOnHover={false}
+                maxClusterRadius={50}
+                iconCreateFunction={clusterIcon(category)}
+              >
+                {points.map((feature) => {
+                  const [lon, lat] = feature.geometry.coordinates;
+                  return (
+                    <Marker key={feature.id} position={[lat, lon]} icon={ICONS[category.key]}>
+                      <Popup>
+                        <b>{feature.properties.name || 'Unnamed'}</b><br />
+                        {category.label.replace(/s$/, '')}<br />
+                        <a href={`https://www.openstreetmap.org/${feature.id}`} target="_blank" rel="noopener noreferrer">
+                          View on OpenStreetMap
+                        </a>
+                      </Popup>
+                    </Marker>
+                  );
+                })}
+              </MarkerClusterGroup>
+            </LayerGroup>
+          </LayersControl.Overlay>
+        );
+      })}
+    </>
+  );
+};
+
+export default InfrastructureLayers;
@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+
+const COMPONENT_LABELS = {
+  airQuality: { label: 'Air Quality', icon: 'fa-wind' },
+  temperature: { label: 'Temperature', icon: 'fa-temperature-half' },
+  precipitation: { label: 'Rainfall', icon: 'fa-cloud-rain' },
+  infrastructure: { label: 'Facilities', icon: 'fa-hospital' },
+  transit: { label: 'Transit', icon: 'fa-train-subway' },
+  density: { label: 'Density', icon: 'fa-people-group' },
+};
+
+const scoreColor = (score) => {
+  if (score == null) return 'text-slate-300';
+  if (score >= 70) return 'text-emerald-400';
+  if (score >= 40) return 'text-amber-400';
+  return 'text-red-400';
+};
+
+// Hero badge with the 0–100 livability score; expands into the per-component breakdown
+const LivabilityScore = ({ livability }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  return (
+    <div className="inline-block rounded-2xl bg-black/30 border border-white/15 backdrop-blur-md p-4 text-white animate-slide-in-left animation-delay-300">
+      <button onClick={() => setExpanded(!expanded)} className="flex items-center gap-4 text-left">
+        <span className={`text-4xl font-extrabold ${scoreColor(livability.score)}`}>
+          {livability.score ?? '–'}
+        </span>
+        <span>
+          <span className="block text-sm font-semibold">Livability Score</span>
+          <span className="block text-xs text-slate-300">
+            out of 100 · {livability.profile} weighting
+            {livability.coverage < 1 && ` · ${Math.round(livability.coverage * 100)}% of inputs`}
+          </span>
+        </span>
+        <i className={`fas fa-chevron-${expanded ? 'up' : 'down'} text-xs text-slate-300`}></i>
+      </button>
+
+      {expanded && (
+        <ul className="grid grid-cols-2 sm:grid-cols-3 gap-x-6 gap-y-2 mt-4 pt-4 border-t border-white/15 text-sm">
+          {Object.entries(livability.components).map(([name, component]) => (
+            <li key={name} className="flex items-center justify-between gap-3">
+              <span className="text-slate-300">
+                <i className={`fas ${COMPONENT_LABELS[name]?.icon || 'fa-circle'} mr-2 w-4`}></i>
+                {COMPONENT_LABELS[name]?.label || name}
+                <span className="text-xs text-slate-400"> ×{component.weight}</span>
+              </span>
+              <span className={`font-semibold ${scoreColor(component.score)}`}>
+                {component.score ?? 'N/A'}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LivabilityScore;
@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../api';
+
+const PAGE_SIZE = 20;
+
+// Sortable columns; `sort` is the /api/rankings metric behind each one
+const COLUMNS = [
+  { sort: 'population', label: 'Population', format: (v) => v.toLocaleString() },
+  { sort: 'area', label: 'Area (km²)', format: (v) => v.toLocaleString() },
+  { sort: 'density', label: 'Density (/km²)', format: (v) => v.toLocaleString() },
+  { sort: 'aqi', label: 'AQI', format: (v) => v },
+  { sort: 'infrastructurePer100k', label: 'Facilities / 100k', format: (v) => v },
+];
+
+// Leaderboard over the city dataset, backed by /api/rankings.
+// Clicking a column header sorts by it; clicking it again flips the order.
+const RankingsView = ({ darkMode, onSelectCity }) => {
+  const [sort, setSort] = useState('population');
+  const [order, setOrder] = useState(null);
+  const [state, setState] = useState('');
+  const [page, setPage] = useState(1);
+  // Response together with the params it was fetched for, so a pending
+  // request shows as loading without setting state inside the effect
+  const [result, setResult] = useState(null);
+
+  const params = { sort, order: order || undefined, state: state || undefined, page, pageSize: PAGE_SIZE };
+  const paramsKey = JSON.stringify(params);
+  const loading = result?.key !== paramsKey;
+  const data = result?.data;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const requestParams = JSON.parse(paramsKey);
+
+    api.get('/api/rankings', { params: requestParams, signal: controller.signal })
+      .then((response) => setResult({ key: paramsKey, data: response.data }))
+      .catch((err) => {
+        if (err.name === 'CanceledError') return;
+        console.error('Error fetching rankings:', err);
+        setResult({ key: paramsKey, data: null, error: err.response?.data?.error || 'Could not load rankings' });
+      });
+
+    return () => controller.abort();
+  }, [paramsKey]);
+
+  const handleSort = (column) => {
+    if (column === sort && data) {
+      setOrder(data.order === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSort(column);
+      setOrder(null);
+    }
+    setPage(1);
+  };
+
+  const totalPages = data ? Math.max(Math.ceil(data.total / data.pageSize), 1) : 1;
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-slate-500';
+
+  return (
+    <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 space-y-8 animate-fade-in-up">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <h2 className={`text-3xl font-bold flex items-center gap-3 ${darkMode ? 'text-white' : 'text-slate-900'}`}>
+          <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-amber-400 to-orange-500 flex items-center justify-center">
+            <i className="fas fa-ranking-star text-white"></i>
+          </div>
+          Rankings
+        </h2>
+        <select
+          value={state}
+          onChange={(e) => {
+            setState(e.target.value);
+            setPage(1);
+          }}
+          className={`px-4 py-2.5 border rounded-2xl text-sm focus:outline-none focus:ring-2 ${
+            darkMode
+              ? 'bg-gray-800 border-gray-700 text-white focus:ring-violet-500/50'
+              : 'bg-white border-slate-200 focus:ring-violet-500/30'
+          }`}
+        >
+          <option value="">All states</option>
+          {(data?.states || []).map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className={`rounded-3xl shadow-xl border p-6 overflow-x-auto ${
+        darkMode ? 'bg-gray-900 border-gray-800' : 'bg-white border-slate-100'
+      } ${loading ? 'opacity-60' : ''} transition-opacity duration-300`}>
+        {result?.error ? (
+          <p className="text-sm text-red-500">{result.error}</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className={mutedClass}>
+                <th className="text-left py-3 pr-4 font-medium">#</th>
+                <th className="text-left py-3 pr-4 font-medium">City</th>
+                {COLUMNS.map((column) => (
+                  <th key={column.sort} className="text-right py-3 px-4 font-medium">
+                    <button
+                      onClick={() => handleSort(column.sort)}
+                      className={`inline-flex items-center gap-1.5 hover:text-violet-500 transition-colors duration-300 ${
+                        column.sort === sort ? 'text-violet-500' : ''
+                      }`}
+                    >
+                      {column.label}
+                      <i className={`fas ${
+                        column.sort !== sort ? 'fa-sort' : data?.order === 'asc' ? 'fa-sort-up' : 'fa-sort-down'
+                      }`}></i>
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {(data?.results || []).map((row) => (
+                <tr
+                  key={row.id}
+                  onClick={() => onSelectCity(row)}
+                  className={`border-t cursor-pointer transition-colors duration-200 ${
+                    darkMode ? 'border-gray-800 hover:bg-gray-800' : 'border-slate-100 hover:bg-slate-50'
+                  }`}
+                >
+                  <td className={`py-3 pr-4 ${mutedClass}`}>{row.rank}</td>
+                  <td className="py-3 pr-4">
+                    <span className="font-semibold">{row.name}</span>
+                    <span className={`block text-xs ${mutedClass}`}>
+                      {row.district ? `${row.district}, ` : ''}{row.state}
+                    </span>
+                  </td>
+                  {COLUMNS.map((column) => (
+                    <td key={column.sort} className="py-3 px-4 text-right font-medium">
+                      {row[column.sort] != null ? column.format(row[column.sort]) : <span className={mutedClass}>—</span>}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {data && data.total === 0 && (
+          <p className={`text-sm py-6 text-center ${mutedClass}`}>
+            No cities to rank yet.
+            {(sort === 'aqi' || sort === 'infrastructurePer100k') && ' This metric only covers cities someone has already opened.'}
+          </p>
+        )}
+      </div>
+
+      {data && data.total > 0 && (
+        <div className="flex items-center justify-between">
+          <p className={`text-sm ${mutedClass}`}>
+            {data.total.toLocaleString()} cities
+            {data.missing > 0 && ` · ${data.missing} without data`}
+          </p>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className={`px-4 py-2 rounded-xl text-sm disabled:opacity-40 ${
+                darkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-slate-100 hover:bg-slate-200'
+              }`}
+            >
+              <i className="fas fa-chevron-left"></i>
+            </button>
+            <span className="text-sm">{page} / {totalPages}</span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= totalPages}
+              className={`px-4 py-2 rounded-xl text-sm disabled:opacity-40 ${
+                darkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-slate-100 hover:bg-slate-200'
+              }`}
+            >
+              <i className="fas fa-chevron-right"></i>
+            </button>
+          </div>
+        </div>
+      )}
+    </main>
+  );
+};
+
+export default RankingsView;
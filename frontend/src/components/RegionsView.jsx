@@ -0,0 +1,246 @@
+import React, { useState, useEffect } from 'react';
+import { Bar } from 'react-chartjs-2';
+import { api } from '../api';
+
+const formatNumber = (value) => (value != null ? value.toLocaleString() : 'N/A');
+
+// Endpoint for the current drill-down level
+const endpointFor = ({ state, district }) => {
+  if (district) return `/api/states/${encodeURIComponent(state)}/districts/${encodeURIComponent(district)}`;
+  if (state) return `/api/states/${encodeURIComponent(state)}`;
+  return '/api/states';
+};
+
+// Table whose rows drill one level down; `columns` map a row to its cells
+const RegionTable = ({ rows, columns, onSelect, darkMode }) => {
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-slate-500';
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className={mutedClass}>
+          {columns.map((column, i) => (
+            <th key={column.label} className={`py-3 px-4 font-medium ${i === 0 ? 'text-left' : 'text-right'}`}>
+              {column.label}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr
+            key={row.id || row.name}
+            onClick={() => onSelect(row)}
+            className={`border-t cursor-pointer transition-colors duration-200 ${
+              darkMode ? 'border-gray-800 hover:bg-gray-800' : 'border-slate-100 hover:bg-slate-50'
+            }`}
+          >
+            {columns.map((column, i) => (
+              <td key={column.label} className={`py-3 px-4 ${i === 0 ? 'text-left font-semibold' : 'text-right'}`}>
+                {column.value(row)}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const TOTAL_COLUMNS = [
+  { label: 'Cities', value: (r) => formatNumber(r.cityCount) },
+  { label: 'Population', value: (r) => formatNumber(r.population) },
+  { label: 'Area (km²)', value: (r) => formatNumber(r.area) },
+  { label: 'Density (/km²)', value: (r) => formatNumber(r.density) },
+];
+
+const STATE_COLUMNS = [
+  { label: 'State', value: (r) => r.name },
+  { label: 'Districts', value: (r) => formatNumber(r.districtCount) },
+  ...TOTAL_COLUMNS,
+];
+
+const DISTRICT_COLUMNS = [{ label: 'District', value: (r) => r.name }, ...TOTAL_COLUMNS];
+
+const CITY_COLUMNS = [
+  { label: 'City', value: (r) => r.name },
+  { label: 'Population', value: (r) => formatNumber(r.population) },
+  { label: 'Area (km²)', value: (r) => formatNumber(r.area) },
+  { label: 'Density (/km²)', value: (r) => formatNumber(r.density) },
+];
+
+// State → district → city drill-down over /api/states
+const RegionsView = ({ darkMode, onSelectCity }) => {
+  const [path, setPath] = useState({ state: null, district: null });
+  // Response together with the endpoint it came from; see RankingsView
+  const [result, setResult] = useState(null);
+
+  const endpoint = endpointFor(path);
+  const loading = result?.endpoint !== endpoint;
+  const data = loading ? null : result.data;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.get(endpoint, { signal: controller.signal })
+      .then((response) => setResult({ endpoint, data: response.data }))
+      .catch((err) => {
+        if (err.name === 'CanceledError') return;
+        console.error('Error fetching region:', err);
+        setResult({ endpoint, data: null, error: err.response?.data?.error || 'Could not load this region' });
+      });
+    return () => controller.abort();
+  }, [endpoint]);
+
+  const cardClass = `rounded-3xl shadow-xl border p-6 ${
+    darkMode ? 'bg-gray-900 border-gray-800' : 'bg-white border-slate-100'
+  }`;
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-slate-500';
+  const headingClass = `font-semibold mb-4 ${darkMode ? 'text-white' : 'text-slate-800'}`;
+
+  const crumbs = [
+    { label: 'India', path: { state: null, district: null } },
+    path.state && { label: data?.state || data?.name || path.state, path: { state: path.state, district: null } },
+    path.district && { label: data?.name || path.district, path },
+  ].filter(Boolean);
+
+  const distributionChartData = data?.densityDistribution && {
+    labels: data.densityDistribution.buckets.map((bucket) => `${bucket.label} /km²`),
+    datasets: [{
+      label: 'Cities',
+      data: data.densityDistribution.buckets.map((bucket) => bucket.cities),
+      backgroundColor: darkMode ? 'rgba(139, 92, 246, 0.8)' : '#8b5cf6',
+      borderRadius: 6,
+    }],
+  };
+
+  const distributionChartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: { legend: { display: false } },
+    scales: {
+      y: {
+        beginAtZero: true,
+        ticks: { precision: 0, color: darkMode ? '#d1d5db' : '#374151' },
+        grid: { color: darkMode ? '#374151' : '#f1f5f9' },
+      },
+      x: { grid: { display: false }, ticks: { color: darkMode ? '#d1d5db' : '#374151' } },
+    },
+  };
+
+  return (
+    <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 space-y-8 animate-fade-in-up">
+      <h2 className={`text-3xl font-bold flex items-center gap-3 ${darkMode ? 'text-white' : 'text-slate-900'}`}>
+        <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-emerald-400 to-teal-500 flex items-center justify-center">
+          <i className="fas fa-sitemap text-white"></i>
+        </div>
+        States &amp; Districts
+      </h2>
+
+      {/* Breadcrumbs */}
+      <nav className="flex flex-wrap items-center gap-2 text-sm">
+        {crumbs.map((crumb, i) => (
+          <React.Fragment key={crumb.label}>
+            {i > 0 && <i className={`fas fa-chevron-right text-xs ${mutedClass}`}></i>}
+            {i === crumbs.length - 1 ? (
+              <span className="font-semibold">{crumb.label}</span>
+            ) : (
+              <button onClick={() => setPath(crumb.path)} className="text-violet-500 hover:underline">
+                {crumb.label}
+              </button>
+            )}
+          </React.Fragment>
+        ))}
+      </nav>
+
+      {result?.error && !data && <p className="text-sm text-red-500">{result.error}</p>}
+      {loading && (
+        <p className={`text-sm ${mutedClass}`}>
+          <i className="fas fa-spinner fa-spin mr-2"></i>Loading...
+        </p>
+      )}
+
+      {data && path.state && (
+        <>
+          {/* Totals */}
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            {[
+              { label: 'Population', value: formatNumber(data.population), icon: 'fa-users' },
+              { label: 'Area', value: `${formatNumber(data.area)} km²`, icon: 'fa-ruler-combined' },
+              { label: 'Density', value: `${formatNumber(data.density)} /km²`, icon: 'fa-people-group' },
+              {
+                label: path.district ? 'Cities' : 'Cities / Districts',
+                value: path.district ? data.cityCount : `${data.cityCount} / ${data.districtCount}`,
+                icon: 'fa-city',
+              },
+            ].map((stat) => (
+              <div key={stat.label} className={cardClass}>
+                <p className={`text-xs uppercase tracking-wide ${mutedClass}`}>
+                  <i className={`fas ${stat.icon} mr-2`}></i>{stat.label}
+                </p>
+                <p className="text-2xl font-bold mt-2">{stat.value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <div className={cardClass}>
+              <h3 className={headingClass}>Density Distribution</h3>
+              <div className="h-64">
+                <Bar data={distributionChartData} options={distributionChartOptions} />
+              </div>
+              {data.densityDistribution.unknown > 0 && (
+                <p className={`text-xs mt-3 ${mutedClass}`}>
+                  {data.densityDistribution.unknown} cities have no recorded area.
+                </p>
+              )}
+            </div>
+            <div className={cardClass}>
+              <h3 className={headingClass}>Largest Cities</h3>
+              <ul className="space-y-3">
+                {data.largestCities.map((city, i) => (
+                  <li key={city.id}>
+                    <button
+                      onClick={() => onSelectCity(city)}
+                      className="w-full flex items-center justify-between gap-4 text-left hover:text-violet-500 transition-colors duration-300"
+                    >
+                      <span>
+                        <span className={`mr-3 ${mutedClass}`}>{i + 1}</span>
+                        <span className="font-medium">{city.name}</span>
+                      </span>
+                      <span className={`text-sm ${mutedClass}`}>{formatNumber(city.population)}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </>
+      )}
+
+      {data && (
+        <div className={`${cardClass} overflow-x-auto`}>
+          {!path.state && (
+            <RegionTable
+              rows={data.states}
+              columns={STATE_COLUMNS}
+              onSelect={(row) => setPath({ state: row.name, district: null })}
+              darkMode={darkMode}
+            />
+          )}
+          {path.state && !path.district && (
+            <RegionTable
+              rows={data.districts}
+              columns={DISTRICT_COLUMNS}
+              onSelect={(row) => setPath({ state: path.state, district: row.name })}
+              darkMode={darkMode}
+            />
+          )}
+          {path.district && (
+            <RegionTable rows={data.cities} columns={CITY_COLUMNS} onSelect={onSelectCity} darkMode={darkMode} />
+          )}
+        </div>
+      )}
+    </main>
+  );
+};
+
+export default RegionsView;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { LayersControl, GeoJSON } from 'react-leaflet';
+import { waterClass, formatMeasure } from '../water';
+
+const style = (feature) => {
+  const { color } = waterClass(feature.properties.class);
+  return feature.geometry.type === 'MultiLineString'
+    ? { color, weight: 3, opacity: 0.9 }
+    : { color, weight: 1, fillColor: color, fillOpacity: 0.45 };
+};
+
+// OSM names go into popup HTML
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const bindPopup = (feature, layer) => {
+  const { label, measure } = waterClass(feature.properties.class);
+  const { name, [measure]: value } = feature.properties;
+  layer.bindPopup(
+    `<b>${escapeHtml(name)}</b><br />${label.replace(/s$/, '')} · ${formatMeasure(measure, value)}<br />` +
+    `<a href="https://www.openstreetmap.org/${feature.id}" target="_blank" rel="noopener noreferrer">View on OpenStreetMap</a>`
+  );
+};
+
+// Named water bodies from the water section as one toggleable overlay.
+// Rendered inside the dashboard map's LayersControl; GeoJSON reads its
+// data once, so the parent keys this by city.
+const WaterLayers = ({ geojson }) => (
+  <LayersControl.Overlay name={`Water bodies (${geojson.features.length})`} checked>
+    {/* Keep clicks for popups from reaching the map's load-nearest-city handler */}
+    <GeoJSON data={geojson} style={style} onEachFeature={bindPopup} bubblingMouseEvents={false} />
+  </LayersControl.Overlay>
+);
+
+export default WaterLayers;
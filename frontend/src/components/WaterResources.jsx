@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { WATER_CLASSES, formatMeasure } from '../water';
+
+const PREVIEW_NAMES = 8;
+
+// Counts, sizes and names of each water class from the water section
+const WaterResources = ({ waterBodies, darkMode }) => {
+  const [expanded, setExpanded] = useState({});
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-slate-500';
+  const cardClass = `rounded-2xl shadow-xl border p-5 ${
+    darkMode ? 'bg-gray-900 border-gray-800' : 'bg-white border-slate-200'
+  }`;
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-5">
+      {WATER_CLASSES.map((waterClass, index) => {
+        const entry = waterBodies[waterClass.key];
+        if (!entry) return null;
+        const unnamed = waterBodies.unnamed?.[waterClass.key] || 0;
+        const names = expanded[waterClass.key] ? entry.names : entry.names.slice(0, PREVIEW_NAMES);
+        const hidden = entry.names.length - names.length;
+
+        return (
+          <div
+            key={waterClass.key}
+            className={`${cardClass} animate-card-pop`}
+            style={{ animationDelay: `${index * 100}ms` }}
+          >
+            <div className="flex items-center gap-4">
+              <div
+                className="w-12 h-12 rounded-xl flex items-center justify-center text-white text-xl shadow-lg"
+                style={{ backgroundColor: waterClass.color }}
+              >
+                <i className={`fas ${waterClass.icon}`}></i>
+              </div>
+              <div>
+                <h4 className={`text-2xl font-bold ${darkMode ? 'text-white' : 'text-slate-900'}`}>
+                  {entry.count.toLocaleString()}
+                  <span className={`ml-2 text-sm font-medium ${mutedClass}`}>{waterClass.label}</span>
+                </h4>
+                <p className={`text-xs mt-0.5 ${mutedClass}`}>
+                  {formatMeasure(waterClass.measure, entry[waterClass.measure] ?? 0)}
+                  {unnamed > 0 && ` · +${unnamed} unnamed`}
+                </p>
+              </div>
+            </div>
+
+            {names.length > 0 && (
+              <div className="mt-4 flex flex-wrap gap-1.5">
+                {names.map((name) => (
+                  <span
+                    key={name}
+                    className={`px-2 py-0.5 rounded-full text-xs ${
+                      darkMode ? 'bg-gray-800 text-gray-300' : 'bg-slate-100 text-slate-600'
+                    }`}
+                  >
+                    {name}
+                  </span>
+                ))}
+                {hidden > 0 && (
+                  <button
+                    onClick={() => setExpanded((prev) => ({ ...prev, [waterClass.key]: true }))}
+                    className="px-2 py-0.5 rounded-full text-xs font-medium text-cyan-500 hover:underline"
+                  >
+                    +{hidden} more
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default WaterResources;
@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import { Bar } from 'react-chartjs-2';
+import { api } from '../api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Open-Meteo's archive trails real time by about five days
+const ARCHIVE_LAG_DAYS = 5;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+const latestArchived = () => isoDate(new Date(Date.now() - ARCHIVE_LAG_DAYS * DAY_MS));
+const daysBefore = (iso, days) => isoDate(new Date(Date.parse(iso) - days * DAY_MS));
+
+// Quick ranges; monsoon presets cover June–September of a past year
+const PRESETS = [
+  { label: '30 days', range: () => ({ from: daysBefore(latestArchived(), 30), to: latestArchived() }), granularity: 'daily' },
+  { label: '12 months', range: () => ({ from: daysBefore(latestArchived(), 365), to: latestArchived() }), granularity: 'monthly' },
+  { label: '10 years', range: () => ({ from: daysBefore(latestArchived(), 3650), to: latestArchived() }), granularity: 'yearly' },
+  ...[1, 2, 3].map((yearsAgo) => {
+    const year = new Date().getFullYear() - yearsAgo;
+    return { label: `Monsoon ${year}`, range: () => ({ from: `${year}-06-01`, to: `${year}-09-30` }), granularity: 'monthly' };
+  }),
+];
+
+const GRANULARITIES = [
+  { key: 'daily', label: 'Daily', field: 'date' },
+  { key: 'monthly', label: 'Monthly', field: 'month' },
+  { key: 'yearly', label: 'Yearly', field: 'year' },
+];
+
+const periodLabel = (granularity, value) => {
+  if (granularity === 'monthly') {
+    const [year, month] = value.split('-');
+    return `${MONTH_NAMES[Number(month) - 1]} ${year}`;
+  }
+  if (granularity === 'daily') {
+    return new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  }
+  return value;
+};
+
+// Archive chart for the Weather section, backed by /api/cities/:id/weather/history.
+// The monthly view overlays 1991–2020 climate normals for the same months.
+const WeatherHistory = ({ city, darkMode }) => {
+  const [range, setRange] = useState(PRESETS[1].range);
+  const [granularity, setGranularity] = useState('monthly');
+  const [showNormals, setShowNormals] = useState(true);
+  // Response together with the request it answers; see RankingsView
+  const [result, setResult] = useState(null);
+
+  const cityKey = city.id || city.name;
+  const requestKey = JSON.stringify({ cityKey, state: city.id ? undefined : city.state, ...range });
+  const loading = result?.key !== requestKey;
+  // Keep showing the previous range, dimmed, until the new one arrives
+  const data = result?.data;
+
+  useEffect(() => {
+    const { cityKey: path, ...params } = JSON.parse(requestKey);
+    const controller = new AbortController();
+
+    api.get(`/api/cities/${encodeURIComponent(path)}/weather/history`, {
+      params: { ...params, normals: true },
+      signal: controller.signal,
+    })
+      .then((response) => setResult({ key: requestKey, data: response.data }))
+      .catch((err) => {
+        if (err.name === 'CanceledError') return;
+        console.error('Error fetching weather history:', err);
+        setResult({ key: requestKey, data: null, error: err.response?.data?.error || 'Could not load weather history' });
+      });
+
+    return () => controller.abort();
+  }, [requestKey]);
+
+  const choosePreset = (preset) => {
+    setRange(preset.range());
+    setGranularity(preset.granularity);
+  };
+
+  const { field } = GRANULARITIES.find((g) => g.key === granularity);
+  const rows = data?.history[granularity] || [];
+  const normalFor = (row) => data?.normals?.months[Number(row.month.split('-')[1]) - 1];
+  const withNormals = showNormals && granularity === 'monthly' && data?.normals;
+
+  const textColor = darkMode ? '#d1d5db' : '#374151';
+  const gridColor = darkMode ? '#374151' : '#f1f5f9';
+
+  const chartData = {
+    labels: rows.map((row) => periodLabel(granularity, row[field])),
+    datasets: [
+      {
+        type: 'line',
+        label: granularity === 'daily' ? 'Max (°C)' : 'Avg max (°C)',
+        data: rows.map((row) => row.max),
+        borderColor: '#f97316',
+        backgroundColor: '#f97316',
+        tension: 0.3,
+        pointRadius: granularity === 'daily' ? 0 : 3,
+        yAxisID: 'temperature',
+      },
+      {
+        type: 'line',
+        label: granularity === 'daily' ? 'Min (°C)' : 'Avg min (°C)',
+        data: rows.map((row) => row.min),
+        borderColor: '#3b82f6',
+        backgroundColor: '#3b82f6',
+        tension: 0.3,
+        pointRadius: granularity === 'daily' ? 0 : 3,
+        yAxisID: 'temperature',
+      },
+      ...(withNormals ? [
+        {
+          type: 'line',
+          label: 'Normal max (°C)',
+          data: rows.map((row) => normalFor(row)?.max ?? null),
+          borderColor: '#f97316',
+          borderDash: [6, 4],
+          borderWidth: 1.5,
+          pointRadius: 0,
+          yAxisID: 'temperature',
+        },
+        {
+          type: 'line',
+          label: 'Normal rainfall (mm)',
+          data: rows.map((row) => normalFor(row)?.precipitation ?? null),
+          borderColor: '#06b6d4',
+          borderDash: [6, 4],
+          borderWidth: 1.5,
+          pointRadius: 0,
+          yAxisID: 'precipitation',
+        },
+      ] : []),
+      {
+        type: 'bar',
+        label: 'Rainfall (mm)',
+        data: rows.map((row) => row.precipitation),
+        backgroundColor: darkMode ? 'rgba(6, 182, 212, 0.5)' : 'rgba(6, 182, 212, 0.4)',
+        borderRadius: 4,
+        yAxisID: 'precipitation',
+      },
+    ],
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { position: 'top', labels: { color: textColor, usePointStyle: true, padding: 12 } },
+    },
+    scales: {
+      temperature: {
+        position: 'left',
+        title: { display: true, text: '°C', color: textColor },
+        grid: { color: gridColor },
+        ticks: { color: textColor },
+      },
+      precipitation: {
+        position: 'right',
+        beginAtZero: true,
+        title: { display: true, text: 'mm', color: textColor },
+        grid: { display: false },
+        ticks: { color: textColor },
+      },
+      x: { grid: { display: false }, ticks: { color: textColor, maxRotation: 0, autoSkip: true } },
+    },
+  };
+
+  const inputClass = `px-3 py-1.5 rounded-lg border text-sm ${
+    darkMode ? 'bg-gray-800 border-gray-700 text-white' : 'bg-white border-slate-200'
+  }`;
+  const chipClass = (active) => `px-3 py-1.5 rounded-full text-xs font-medium transition-colors duration-300 ${
+    active
+      ? 'bg-sky-500 text-white'
+      : darkMode ? 'bg-gray-800 text-gray-300 hover:bg-gray-700' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+  }`;
+
+  return (
+    <div className={`mt-6 rounded-3xl p-6 shadow-xl border ${
+      darkMode ? 'bg-gray-900 border-gray-800' : 'bg-white border-slate-200'
+    }`}>
+      <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4 mb-6">
+        <h3 className={`text-lg font-semibold flex items-center gap-2 ${darkMode ? 'text-white' : 'text-slate-900'}`}>
+          <i className="fas fa-clock-rotate-left text-sky-500"></i>
+          Weather History
+        </h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="date"
+            value={range.from}
+            max={range.to}
+            onChange={(e) => e.target.value && setRange({ ...range, from: e.target.value })}
+            className={inputClass}
+          />
+          <span className={darkMode ? 'text-gray-400' : 'text-slate-500'}>to</span>
+          <input
+            type="date"
+            value={range.to}
+            min={range.from}
+            max={latestArchived()}
+            onChange={(e) => e.target.value && setRange({ ...range, to: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <div className="flex flex-wrap gap-2">
+          {PRESETS.map((preset) => (
+            <button key={preset.label} onClick={() => choosePreset(preset)} className={chipClass(false)}>
+              {preset.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          {GRANULARITIES.map((g) => (
+            <button key={g.key} onClick={() => setGranularity(g.key)} className={chipClass(granularity === g.key)}>
+              {g.label}
+            </button>
+          ))}
+          <label className={`flex items-center gap-2 text-xs ml-2 ${
+            granularity === 'monthly' ? '' : 'opacity-40'
+          } ${darkMode ? 'text-gray-300' : 'text-slate-600'}`}>
+            <input
+              type="checkbox"
+              checked={showNormals}
+              disabled={granularity !== 'monthly'}
+              onChange={(e) => setShowNormals(e.target.checked)}
+            />
+            Compare with {data?.normals?.period || '1991-2020'} normals
+          </label>
+        </div>
+      </div>
+
+      <div className={`h-80 w-full ${loading ? 'opacity-50' : ''} transition-opacity duration-300`}>
+        {result?.error && !data ? (
+          <p className="text-sm text-red-500">{result.error}</p>
+        ) : (
+          <Bar data={chartData} options={chartOptions} />
+        )}
+      </div>
+
+      {data?.errors?.normals && granularity === 'monthly' && (
+        <p className={`text-xs mt-3 ${darkMode ? 'text-gray-500' : 'text-slate-400'}`}>
+          Climate normals unavailable: {data.errors.normals.message}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default WeatherHistory;
@@ -0,0 +1,16 @@
+// Water classes the backend returns, in display order. Watercourses are
+// measured in km of length, standing water in km² of area.
+export const WATER_CLASSES = [
+  { key: 'rivers', label: 'Rivers', icon: 'fa-water', color: '#2563eb', measure: 'lengthKm' },
+  { key: 'canals', label: 'Canals', icon: 'fa-bridge-water', color: '#0891b2', measure: 'lengthKm' },
+  { key: 'streams', label: 'Streams', icon: 'fa-droplet', color: '#38bdf8', measure: 'lengthKm' },
+  { key: 'lakes', label: 'Lakes', icon: 'fa-water', color: '#1d4ed8', measure: 'areaKm2' },
+  { key: 'reservoirs', label: 'Reservoirs', icon: 'fa-faucet-drip', color: '#0e7490', measure: 'areaKm2' },
+  { key: 'ponds', label: 'Ponds', icon: 'fa-circle-dot', color: '#7dd3fc', measure: 'areaKm2' },
+];
+
+export const waterClass = (key) => WATER_CLASSES.find((c) => c.key === key);
+
+// "12.4 km" or "0.35 km²"
+export const formatMeasure = (measure, value) =>
+  measure === 'lengthKm' ? `${value.toLocaleString()} km` : `${value.toLocaleString()} km²`;
@@ -0,0 +1,67 @@
+const crypto = require("crypto");
+const express = require("express");
+const { listAlerts, getAlert, createAlert, updateAlert, deleteAlert, publicView } = require("../services/alerts");
+const { sendError } = require("../utils/errors");
+
+const router = express.Router();
+
+const ALERTS_TOKEN = process.env.ALERTS_TOKEN || "";
+
+/*
+ * Rules carry webhook URLs and secrets, so every route needs
+ * `Authorization: Bearer <ALERTS_TOKEN>`. Without a configured token the
+ * API stays closed; saved rules still run.
+ */
+router.use((req, res, next) => {
+    if (!ALERTS_TOKEN) {
+        return res.status(503).json({ error: "Alerts API is disabled: set ALERTS_TOKEN to enable it" });
+    }
+    const [scheme, token = ""] = String(req.get("Authorization") || "").split(" ");
+    const expected = crypto.createHash("sha256").update(ALERTS_TOKEN).digest();
+    const given = crypto.createHash("sha256").update(token).digest();
+    if (scheme !== "Bearer" || !crypto.timingSafeEqual(expected, given)) {
+        res.set("WWW-Authenticate", "Bearer");
+        return res.status(401).json({ error: "A valid alerts token is required" });
+    }
+    next();
+});
+
+router.get("/", (req, res) => {
+    res.json({ alerts: listAlerts().map(publicView) });
+});
+
+router.get("/:id", (req, res) => {
+    try {
+        res.json(publicView(getAlert(req.params.id)));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// The only response that includes the signing secret.
+router.post("/", async (req, res) => {
+    try {
+        res.status(201).json(await createAlert(req.body));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.patch("/:id", async (req, res) => {
+    try {
+        res.json(publicView(await updateAlert(req.params.id, req.body)));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.delete("/:id", async (req, res) => {
+    try {
+        await deleteAlert(req.params.id);
+        res.status(204).end();
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require("express");
+const { GEOCODE_TIMEOUT_MS, resolveCity } = require("../services/geocode");
+const { SECTIONS, resolveSectionOptions, loadSection, loadSections } = require("../services/sections");
+const { deriveIndicators } = require("../services/indicators");
+const { resolveWeights, scoreLivability } = require("../services/livability");
+const { resolveRange, getWeatherHistory, getClimateNormals } = require("../services/weatherHistory");
+const { resolveWindow, getAirQualityHistory } = require("../services/airQualityHistory");
+const { resolveScale } = require("../services/aqi");
+const { getCityById } = require("../services/cityStore");
+const { forCity } = require("../upstream");
+const { sendError } = require("../utils/errors");
+const { TimeoutError, withTimeout } = require("../utils/timeout");
+
+const router = express.Router();
+
+// The archive is slower than the forecast API, and 30 years of daily
+// normals slower still on a cold cache.
+const HISTORY_TIMEOUT_MS = 10000;
+const NORMALS_TIMEOUT_MS = 15000;
+// 90 days of hourly readings for six pollutants.
+const AIR_HISTORY_TIMEOUT_MS = 10000;
+
+/*
+ * Responses computed from several sections rather than one upstream.
+ * `sections` are loaded together (the slowest sets the budget), `options`
+ * validates query parameters before any fetching, and `derive` builds the
+ * response fields from the loaded data.
+ */
+const DERIVED = {
+    indicators: {
+        sections: ["stats", "infrastructure", "water"],
+        derive: (place, data) => ({ indicators: deriveIndicators(place, data) })
+    },
+    livability: {
+        sections: ["stats", "weather", "air-quality", "infrastructure"],
+        options: (query) => resolveWeights(query),
+        derive: (place, data, weights) => {
+            const indicators = deriveIndicators(place, data);
+            return { livability: scoreLivability({ ...data, indicators }, weights) };
+        }
+    }
+};
+
+// :id is a dataset id ("maharashtra-aurangabad-aurangabad") or a name.
+function resolveParam(req) {
+    const query = getCityById(req.params.id)
+        ? { id: req.params.id }
+        : { city: req.params.id, state: req.query.state };
+    return withTimeout(
+        (signal) => resolveCity(query, signal),
+        GEOCODE_TIMEOUT_MS,
+        "Geocoding"
+    );
+}
+
+/* -----------------------------
+   DERIVED VIEWS
+   GET /api/cities/:id/indicators?state=
+   GET /api/cities/:id/livability?state=&profile=&weights=
+----------------------------- */
+// Registered before /:id/:section, which would otherwise 404 them.
+for (const [name, view] of Object.entries(DERIVED)) {
+    const budget = Math.max(...view.sections.map((section) => SECTIONS[section].timeout));
+
+    router.get(`/:id/${name}`, async (req, res) => {
+        try {
+            const options = view.options ? view.options(req.query) : undefined;
+            const sectionOptions = resolveSectionOptions(view.sections, req.query);
+            const place = await resolveParam(req);
+            const { data, status, errors } = await loadSections(place, view.sections, budget, sectionOptions);
+
+            res.json({ city: place, ...view.derive(place, data, options), status, errors });
+        } catch (err) {
+            console.error(err.message);
+            sendError(res, err);
+        }
+    });
+}
+
+/* -----------------------------
+   WEATHER HISTORY
+   GET /api/cities/:id/weather/history?from=&to=&normals=true
+----------------------------- */
+router.get("/:id/weather/history", async (req, res) => {
+    try {
+        const range = resolveRange(req.query);
+        const withNormals = req.query.normals === "true" || req.query.normals === "1";
+        const place = await resolveParam(req);
+
+        // Normals are a nice-to-have next to the history itself, so their
+        // failure is reported rather than failing the response.
+        const errors = {};
+        const [history, normals] = await Promise.all([
+            withTimeout(
+                (signal) => forCity(
+                    place.id ?? place.name,
+                    () => getWeatherHistory(place.lat, place.lon, range, signal)
+                ),
+                HISTORY_TIMEOUT_MS,
+                "Open-Meteo archive"
+            ),
+            withNormals
+                ? withTimeout(
+                    (signal) => forCity(
+                        place.id ?? place.name,
+                        () => getClimateNormals(place.lat, place.lon, signal)
+                    ),
+                    NORMALS_TIMEOUT_MS,
+                    "Open-Meteo archive"
+                ).catch((err) => {
+                    console.error(`climate normals failed: ${err.message}`);
+                    errors.normals = {
+                        source: "Open-Meteo archive",
+                        status: err instanceof TimeoutError ? "timeout" : "error",
+                        message: err.message
+                    };
+                    return null;
+                })
+                : undefined
+        ]);
+
+        res.json({ city: place, history, ...(withNormals && { normals }), errors });
+    } catch (err) {
+        console.error(err.message);
+        sendError(res, err);
+    }
+});
+
+/* -----------------------------
+   AIR QUALITY HISTORY
+   GET /api/cities/:id/air-quality/history?days=7|30|90&scale=naqi|us
+----------------------------- */
+router.get("/:id/air-quality/history", async (req, res) => {
+    try {
+        const days = resolveWindow(req.query);
+        const scale = resolveScale(req.query);
+        const place = await resolveParam(req);
+
+        const history = await withTimeout(
+            (signal) => forCity(
+                place.id ?? place.name,
+                () => getAirQualityHistory(place.lat, place.lon, { days, scale }, signal)
+            ),
+            AIR_HISTORY_TIMEOUT_MS,
+            "Open-Meteo air quality"
+        );
+        res.json({ city: place, history });
+    } catch (err) {
+        console.error(err.message);
+        sendError(res, err);
+    }
+});
+
+/* -----------------------------
+   SINGLE SECTION
+   GET /api/cities/:id/:section?state=
+   air-quality also takes &scale=naqi|us, infrastructure &radius=<km>
+   and &categories=<key>,<key>, water &radius=<km>
+----------------------------- */
+router.get("/:id/:section", async (req, res) => {
+    const section = SECTIONS[req.params.section];
+    if (!section) {
+        return res.status(404).json({ error: `Unknown section: ${req.params.section}` });
+    }
+
+    try {
+        const options = section.options ? section.options(req.query) : undefined;
+        const place = await resolveParam(req);
+        const { value, status } = await withTimeout(
+            (signal) => loadSection(section, place, signal, options),
+            section.timeout,
+            section.source
+        );
+        console.log(`${req.params.section} data fetched for ${place.displayName} (cache ${status})`);
+
+        res.set("X-Cache", status);
+        res.json({ city: place, [section.key]: section.present ? section.present(value, options) : value });
+    } catch (err) {
+        console.error(err.message);
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require("express");
+const { GEOCODE_TIMEOUT_MS, resolveCity } = require("../services/geocode");
+const { getCityById } = require("../services/cityStore");
+const { resolveSectionOptions, loadSections, summarizeCacheStatus } = require("../services/sections");
+const { density } = require("../services/indicators");
+const { withScale } = require("../services/airQuality");
+const { sendError } = require("../utils/errors");
+const { withTimeout } = require("../utils/timeout");
+
+const router = express.Router();
+
+const MIN_CITIES = 2;
+const MAX_CITIES = 4;
+
+// Everything a comparison shows; Wikipedia and water bodies are left out.
+const COMPARE_SECTIONS = ["stats", "weather", "air-quality", "infrastructure"];
+
+// Same budget as /api: every city is fetched in parallel, so comparing four
+// cities takes about as long as loading one.
+const COMPARE_DEADLINE_MS = Number(process.env.PROFILE_DEADLINE_MS) || 12000;
+
+function compactWeather(weather) {
+    if (!weather) return null;
+    return {
+        current: weather.current_weather,
+        daily: {
+            time: weather.daily.time,
+            max: weather.daily.temperature_2m_max,
+            min: weather.daily.temperature_2m_min,
+            precipitation: weather.daily.precipitation_sum
+        }
+    };
+}
+
+function compactAirQuality(airQuality, scale) {
+    const rated = withScale(airQuality, scale);
+    if (!rated?.current) return null;
+    const { aqi, category, dominantPollutant } = rated.current;
+    return { scale, aqi, category, dominantPollutant };
+}
+
+function compactInfrastructure(infrastructure) {
+    if (!infrastructure) return null;
+    const { hospitals, schools, colleges, railwayStations, metroStations } = infrastructure;
+    return { hospitals, schools, colleges, railwayStations, metroStations };
+}
+
+async function compareEntry(query, deadline, sectionOptions) {
+    try {
+        const place = await withTimeout(
+            (signal) => resolveCity(getCityById(query) ? { id: query } : { city: query }, signal),
+            GEOCODE_TIMEOUT_MS,
+            "Geocoding"
+        );
+        const remaining = Math.max(deadline - Date.now(), 0);
+        const { data, status, errors, cacheStatus } = await loadSections(place, COMPARE_SECTIONS, remaining, sectionOptions);
+
+        const population = data.stats?.population ?? null;
+        const area = data.stats?.area ?? null;
+        return {
+            query,
+            city: place,
+            population,
+            area,
+            density: density(population, area),
+            weather: compactWeather(data.weather),
+            airQuality: compactAirQuality(data.airQuality, sectionOptions["air-quality"]),
+            infrastructure: compactInfrastructure(data.infrastructure),
+            status,
+            errors,
+            cacheStatus
+        };
+    } catch (err) {
+        // An unresolvable or ambiguous name only fails its own column.
+        console.error(`compare ${query} failed: ${err.message}`);
+        return { query, city: null, error: err.message, ...err.details };
+    }
+}
+
+/* -----------------------------
+   CITY COMPARISON
+   GET /api/compare?cities=<id or name>,<id or name>[,...]&scale=naqi|us&radius=<km>
+----------------------------- */
+router.get("/", async (req, res) => {
+    try {
+        const queries = [...new Set(
+            String(req.query.cities || "").split(",").map((c) => c.trim()).filter(Boolean)
+        )];
+        if (queries.length < MIN_CITIES || queries.length > MAX_CITIES) {
+            return res.status(400).json({
+                error: `Between ${MIN_CITIES} and ${MAX_CITIES} distinct cities are required`
+            });
+        }
+
+        const sectionOptions = resolveSectionOptions(COMPARE_SECTIONS, req.query);
+
+        const deadline = Date.now() + COMPARE_DEADLINE_MS;
+        const entries = await Promise.all(queries.map((query) => compareEntry(query, deadline, sectionOptions)));
+
+        const cacheStatuses = entries.flatMap((entry) => Object.values(entry.cacheStatus || {}));
+        res.set("X-Cache", summarizeCacheStatus(cacheStatuses));
+        res.json({ cities: entries.map(({ cacheStatus: _cacheStatus, ...entry }) => entry) });
+    } catch (err) {
+        console.error(err.message);
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require("express");
+const { nearestCities, cleanCityName } = require("../services/cityStore");
+
+const router = express.Router();
+
+const MAX_LIMIT = 20;
+
+/* -----------------------------
+   NEAREST DATASET CITIES
+   GET /api/nearest?lat=&lon=&limit=
+----------------------------- */
+// Number("") is 0, so blank parameters have to be rejected explicitly.
+function parseCoordinate(value, max) {
+    if (value === undefined || String(value).trim() === "") return null;
+    const number = Number(value);
+    return Number.isFinite(number) && Math.abs(number) <= max ? number : null;
+}
+
+router.get("/", (req, res) => {
+    const lat = parseCoordinate(req.query.lat, 90);
+    const lon = parseCoordinate(req.query.lon, 180);
+
+    if (lat === null || lon === null) {
+        return res.status(400).json({ error: "Valid lat and lon are required" });
+    }
+
+    const limit = Math.min(Math.max(Math.floor(Number(req.query.limit)) || 5, 1), MAX_LIMIT);
+    const results = nearestCities(lat, lon, limit).map((record) => ({
+        id: record.id,
+        name: cleanCityName(record.city),
+        district: record.district,
+        state: record.state,
+        lat: record.lat,
+        lon: record.lon,
+        population: record.population,
+        distanceKm: Math.round(record.distanceKm * 10) / 10
+    }));
+
+    res.json({ lat, lon, results });
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require("express");
+const { GEOCODE_TIMEOUT_MS, resolveCity } = require("../services/geocode");
+const { SECTIONS, resolveSectionOptions, loadSections, summarizeCacheStatus } = require("../services/sections");
+const { deriveIndicators } = require("../services/indicators");
+const { resolveWeights, scoreLivability } = require("../services/livability");
+const { withScale } = require("../services/airQuality");
+const { sendError } = require("../utils/errors");
+const { withTimeout } = require("../utils/timeout");
+
+const router = express.Router();
+
+// Whole-request budget, kept under the dashboard's 15 s axios timeout.
+const PROFILE_DEADLINE_MS = Number(process.env.PROFILE_DEADLINE_MS) || 12000;
+
+/* -----------------------------
+   FULL CITY PROFILE
+   GET /api?city=&state=  or  GET /api?id=
+   Optional livability weighting: &profile=&weights=
+   Optional AQI scale: &scale=naqi|us
+   Optional search radius (km) and categories: &radius=&categories=
+----------------------------- */
+router.get("/", async (req, res) => {
+    try {
+        const startedAt = Date.now();
+        const { city, id, state } = req.query;
+        if (!city && !id) {
+            return res.status(400).json({ error: "City is required" });
+        }
+        const livabilityWeights = resolveWeights(req.query);
+        const sectionOptions = resolveSectionOptions(Object.keys(SECTIONS), req.query);
+        const scale = sectionOptions["air-quality"];
+
+        const place = await withTimeout(
+            (signal) => resolveCity({ id, city, state }, signal),
+            GEOCODE_TIMEOUT_MS,
+            "Geocoding"
+        );
+        console.log(`Fetching data for ${place.displayName} (${place.lat}, ${place.lon})`);
+
+        // Sections share whatever is left of the deadline after geocoding.
+        const remaining = Math.max(PROFILE_DEADLINE_MS - (Date.now() - startedAt), 0);
+        const { data, status, errors, cacheStatus } = await loadSections(
+            place,
+            Object.keys(SECTIONS),
+            remaining,
+            sectionOptions
+        );
+
+        res.set("X-Cache", summarizeCacheStatus(Object.values(cacheStatus)));
+        res.set("X-Cache-Detail", Object.entries(cacheStatus).map(([key, value]) => `${key}=${value}`).join(", "));
+        const indicators = deriveIndicators(place, data);
+        res.json({
+            city: place,
+            population: data.stats?.population ?? null,
+            area: data.stats?.area ?? null,
+            indicators,
+            livability: scoreLivability({ ...data, indicators }, livabilityWeights),
+            weather: data.weather,
+            // Livability above scores the cached default-scale reading, so it
+            // matches /api/cities/:id/livability whatever scale is shown.
+            airQuality: withScale(data.airQuality, scale),
+            infrastructure: data.infrastructure,
+            waterBodies: data.waterBodies,
+            boundary: data.boundary,
+            wikipedia: data.wikipedia,
+            status,
+            errors
+        });
+
+    } catch (err) {
+        console.error(err.message);
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
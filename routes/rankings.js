@@ -0,0 +1,20 @@
+const express = require("express");
+const { getRankings } = require("../services/rankings");
+const { sendError } = require("../utils/errors");
+
+const router = express.Router();
+
+/* -----------------------------
+   CITY RANKINGS
+   GET /api/rankings?sort=&order=&state=&min=&max=&page=&pageSize=&scale=
+----------------------------- */
+router.get("/", async (req, res) => {
+    try {
+        res.json(await getRankings(req.query));
+    } catch (err) {
+        console.error(err.message);
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const { searchCities } = require("../services/search");
+
+const router = express.Router();
+
+const MAX_LIMIT = 20;
+
+/* -----------------------------
+   CITY AUTOCOMPLETE
+   GET /api/search?q=&limit=
+----------------------------- */
+router.get("/", (req, res) => {
+    const query = String(req.query.q || "").trim();
+    if (!query) {
+        return res.status(400).json({ error: "Query is required" });
+    }
+
+    const limit = Math.min(Math.max(Math.floor(Number(req.query.limit)) || 8, 1), MAX_LIMIT);
+    res.json({ query, results: searchCities(query, limit) });
+});
+
+module.exports = router;
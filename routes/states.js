@@ -0,0 +1,33 @@
+const express = require("express");
+const { listStates, getState, getDistrict } = require("../services/regions");
+const { sendError } = require("../utils/errors");
+
+const router = express.Router();
+
+/* -----------------------------
+   STATE & DISTRICT AGGREGATES
+   GET /api/states
+   GET /api/states/:state
+   GET /api/states/:state/districts/:district
+----------------------------- */
+router.get("/", (req, res) => {
+    res.json({ states: listStates() });
+});
+
+router.get("/:state", (req, res) => {
+    try {
+        res.json(getState(req.params.state));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+router.get("/:state/districts/:district", (req, res) => {
+    try {
+        res.json(getDistrict(req.params.state, req.params.district));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const { POLLUTANTS, DEFAULT_SCALE, computeHourlyAQI } = require("./aqi");
+const { upstreamFetch } = require("../upstream");
+
+// Open-Meteo's name for each pollutant key used across the API.
+const OPEN_METEO_VARIABLES = {
+    pm25: "pm2_5",
+    pm10: "pm10",
+    no2: "nitrogen_dioxide",
+    so2: "sulphur_dioxide",
+    o3: "ozone",
+    co: "carbon_monoxide"
+};
+
+// ----------------------
+// GET STATION AQI (WAQI)
+// WAQI reports its own US-scale index per station; it is passed through as
+// a cross-check next to the AQI computed from concentrations.
+// Resolves to null when no station reports for the coordinates.
+// ----------------------
+async function getStationAQI(lat, lon, signal) {
+    const token = process.env.TOKEN;
+    const url = `https://api.waqi.info/feed/geo:${lat};${lon}/?token=${token}`;
+    const res = await upstreamFetch(url, { signal });
+    const data = await res.json();
+
+    if (data.status === "error") {
+        throw new Error(`WAQI: ${data.data || "request failed"}`);
+    }
+    if (data.status !== "ok" || !data.data || typeof data.data.aqi !== "number") {
+        console.warn("WAQI: No data for coordinates");
+        return null;
+    }
+
+    return {
+        aqi: data.data.aqi,
+        scale: "us",
+        dominantPollutant: data.data.dominentpol || null,
+        name: data.data.city?.name || null,
+        time: data.data.time?.iso || data.data.time?.s || null
+    };
+}
+
+// ----------------------
+// GET HOURLY CONCENTRATIONS (Open-Meteo)
+// µg/m³ for every pollutant, from `pastDays` back through the forecast, with
+// timestamps in `timezone`. Also returns the place's UTC offset so callers
+// can tell past hours from forecast ones.
+// ----------------------
+async function fetchConcentrations(lat, lon, { pastDays = 1, timezone = "GMT" } = {}, signal) {
+    const variables = Object.values(OPEN_METEO_VARIABLES).join(",");
+    const url = `https://air-quality-api.open-meteo.com/v1/air-quality?latitude=${lat}&longitude=${lon}&hourly=${variables}&past_days=${pastDays}&timezone=${timezone}`;
+    const res = await upstreamFetch(url, { signal });
+    const data = await res.json();
+
+    if (!data.hourly || !data.hourly.time) return { rows: [], utcOffsetSeconds: 0 };
+
+    return {
+        rows: data.hourly.time.map((timestamp, idx) => ({
+            timestamp,
+            ...Object.fromEntries(POLLUTANTS.map((p) => [p, data.hourly[OPEN_METEO_VARIABLES[p]]?.[idx] ?? null]))
+        })),
+        utcOffsetSeconds: data.utc_offset_seconds || 0
+    };
+}
+
+// A day back (so the current hour has a full 24-hour window) through the
+// forecast, in GMT.
+async function getConcentrations(lat, lon, signal) {
+    const { rows } = await fetchConcentrations(lat, lon, { pastDays: 1 }, signal);
+    return rows;
+}
+
+/**
+ * Rates hourly concentration rows on `scale`. `current` is the latest hour
+ * that is not in the future, and null when that hour has no AQI.
+ */
+function rateConcentrations(rows, scale) {
+    const ratings = computeHourlyAQI(rows, scale);
+    const history = rows.map((row, i) => {
+        const { aqi, category, dominantPollutant } = ratings[i];
+        return { ...row, aqi, category, dominantPollutant };
+    });
+
+    const now = new Date().toISOString().slice(0, 13);
+    let index = -1;
+    rows.forEach((row, i) => {
+        if (row.timestamp.slice(0, 13) <= now) index = i;
+    });
+    const rating = ratings[index];
+
+    return {
+        scale,
+        current: rating?.aqi != null
+            ? {
+                aqi: rating.aqi,
+                category: rating.category,
+                dominantPollutant: rating.dominantPollutant,
+                subIndices: rating.subIndices,
+                time: rows[index].timestamp
+            }
+            : null,
+        pollutants: Object.fromEntries(POLLUTANTS.map((p) => [p, rows[index]?.[p] ?? null])),
+        history
+    };
+}
+
+/**
+ * The air-quality section re-rated on another scale. Sections are cached on
+ * the default scale; the hourly concentrations they keep are enough to
+ * recompute everything else.
+ */
+function withScale(airQuality, scale) {
+    if (!airQuality || airQuality.scale === scale) return airQuality;
+    const rows = airQuality.history.map((row) => ({
+        timestamp: row.timestamp,
+        ...Object.fromEntries(POLLUTANTS.map((p) => [p, row[p]]))
+    }));
+    return { ...airQuality, ...rateConcentrations(rows, scale) };
+}
+
+// ----------------------
+// COMBINED FUNCTION
+//
+// {
+//   scale:      "naqi" | "us",
+//   current:    { aqi, category, dominantPollutant, subIndices, time } | null,
+//   pollutants: { pm25, pm10, no2, so2, o3, co },   // µg/m³ this hour, null when not reported
+//   history:    [{ timestamp, pm25, ..., co, aqi, category, dominantPollutant }],  // [] when unavailable
+//   station:    { aqi, scale: "us", dominantPollutant, name, time } | null,
+//   source:     { current: "Open-Meteo", history: "Open-Meteo", station: "WAQI" },
+//   fetchedAt:  ISO timestamp
+// }
+//
+// Only throws when neither upstream answered.
+// ----------------------
+async function getAQISection(lat, lon, signal) {
+    const [concentrations, station] = await Promise.allSettled([
+        getConcentrations(lat, lon, signal),
+        getStationAQI(lat, lon, signal)
+    ]);
+
+    if (concentrations.status === "rejected" && station.status === "rejected") {
+        throw new Error(`${concentrations.reason.message}; ${station.reason.message}`);
+    }
+    if (concentrations.status === "rejected") console.error("AQI Concentrations Fetch Error:", concentrations.reason.message);
+    if (station.status === "rejected") console.error("WAQI Fetch Error:", station.reason.message);
+
+    const rows = concentrations.status === "fulfilled" ? concentrations.value : [];
+    return {
+        ...rateConcentrations(rows, DEFAULT_SCALE),
+        station: station.status === "fulfilled" ? station.value : null,
+        source: { current: "Open-Meteo", history: "Open-Meteo", station: "WAQI" },
+        fetchedAt: new Date().toISOString()
+    };
+}
+
+module.exports = { getStationAQI, fetchConcentrations, getConcentrations, withScale, getAQISection };
@@ -0,0 +1,96 @@
+const { fetchConcentrations } = require("./airQuality");
+const { POLLUTANTS, categorize, computeHourlyAQI } = require("./aqi");
+const { HttpError } = require("../utils/errors");
+const { HOUR, DAY, cached } = require("../cache");
+
+/* -----------------------------
+   AIR QUALITY HISTORY (OPEN-METEO)
+----------------------------- */
+const WINDOWS = [7, 30, 90];
+const DEFAULT_WINDOW = 30;
+
+// Validates ?days= against the windows the dashboard offers.
+function resolveWindow({ days } = {}) {
+    if (days === undefined || days === "") return DEFAULT_WINDOW;
+    const window = Number(days);
+    if (!WINDOWS.includes(window)) {
+        throw new HttpError(400, `days must be one of ${WINDOWS.join(", ")}`, { windows: WINDOWS });
+    }
+    return window;
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// { min, mean, max } of the reported values, or null when none were.
+function stats(values, digits) {
+    const present = values.filter((v) => v !== null && v !== undefined);
+    if (present.length === 0) return null;
+    return {
+        min: round(Math.min(...present), digits),
+        mean: round(present.reduce((sum, v) => sum + v, 0) / present.length, digits),
+        max: round(Math.max(...present), digits)
+    };
+}
+
+function mostFrequent(values) {
+    const counts = new Map();
+    for (const value of values.filter(Boolean)) counts.set(value, (counts.get(value) || 0) + 1);
+    return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
+
+/**
+ * Daily air quality for the last `days` days plus Open-Meteo's forecast, in
+ * the city's local time. Each day has min/mean/max of every pollutant
+ * (µg/m³) and of the hourly AQI on `scale`; `category` rates the mean AQI
+ * and `dominantPollutant` is the one that set the AQI most hours.
+ *
+ * Concentrations are cached without a scale. One extra day is fetched so
+ * the first day's hours have full averaging windows.
+ */
+async function getAirQualityHistory(lat, lon, { days, scale }, signal) {
+    const key = `airQualityHistory:${lat.toFixed(4)},${lon.toFixed(4)}:${days}`;
+    const { value } = await cached(key, HOUR, async () => {
+        const concentrations = await fetchConcentrations(lat, lon, { pastDays: days + 1, timezone: "auto" }, signal);
+        signal?.throwIfAborted();
+        return concentrations;
+    });
+
+    const { rows, utcOffsetSeconds } = value;
+    const ratings = computeHourlyAQI(rows, scale);
+    const today = new Date(Date.now() + utcOffsetSeconds * 1000).toISOString().slice(0, 10);
+    const firstDay = new Date(Date.parse(today) - days * DAY).toISOString().slice(0, 10);
+
+    const byDate = new Map();
+    rows.forEach((row, i) => {
+        const date = row.timestamp.slice(0, 10);
+        if (date < firstDay) return;
+        if (!byDate.has(date)) byDate.set(date, []);
+        byDate.get(date).push({ row, rating: ratings[i] });
+    });
+
+    const daily = [...byDate].map(([date, hours]) => {
+        const aqi = stats(hours.map((h) => h.rating.aqi), 0);
+        return {
+            date,
+            forecast: date > today,
+            aqi,
+            category: aqi ? categorize(aqi.mean, scale) : "No data",
+            dominantPollutant: mostFrequent(hours.map((h) => h.rating.dominantPollutant)),
+            ...Object.fromEntries(POLLUTANTS.map((p) => [p, stats(hours.map((h) => h.row[p]), 1)]))
+        };
+    });
+
+    return {
+        scale,
+        days,
+        from: daily[0]?.date ?? null,
+        to: daily[daily.length - 1]?.date ?? null,
+        today,
+        daily
+    };
+}
+
+module.exports = { WINDOWS, resolveWindow, getAirQualityHistory };
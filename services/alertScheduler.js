@@ -0,0 +1,160 @@
+const crypto = require("crypto");
+const { ALLOW_PRIVATE_WEBHOOKS, METRICS, OPERATORS, listAlerts, recordEvaluation, publicView } = require("./alerts");
+const { GEOCODE_TIMEOUT_MS, resolveCity } = require("./geocode");
+const { SECTIONS, loadSection } = require("./sections");
+const { withTimeout } = require("../utils/timeout");
+const { assertPublicHost } = require("../utils/addresses");
+
+/* -----------------------------
+   ALERT SCHEDULER & WEBHOOKS
+----------------------------- */
+const ALERTS_INTERVAL_MS = Number(process.env.ALERTS_INTERVAL_MS ?? 15 * 60 * 1000);
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+/**
+ * Signs `${timestamp}.${body}` with the rule's secret. Receivers recompute
+ * it and should reject old timestamps, so a captured request cannot be
+ * replayed later.
+ */
+function sign(secret, timestamp, body) {
+    return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+async function deliverWebhook(rule, payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    // Checked again at delivery: the name may have been re-pointed at an
+    // internal host since the rule was saved. Redirects are not followed
+    // for the same reason.
+    if (!ALLOW_PRIVATE_WEBHOOKS) await assertPublicHost(new URL(rule.webhookUrl).hostname);
+
+    await withTimeout(async (signal) => {
+        const res = await fetch(rule.webhookUrl, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "User-Agent": "CityData.org/1.0",
+                "X-CityData-Timestamp": timestamp,
+                "X-CityData-Signature": `sha256=${sign(rule.secret, timestamp, body)}`
+            },
+            body,
+            redirect: "manual",
+            signal
+        });
+        if (!res.ok) throw new Error(`Webhook responded ${res.status}`);
+    }, WEBHOOK_TIMEOUT_MS, "Webhook");
+}
+
+// Loads each section a city's rules need once, through the same cache as /api.
+async function loadCitySections(cityId, sectionNames) {
+    const place = await withTimeout(
+        (signal) => resolveCity({ id: cityId }, signal),
+        GEOCODE_TIMEOUT_MS,
+        "Geocoding"
+    );
+    const values = {};
+    await Promise.all(sectionNames.map(async (name) => {
+        const section = SECTIONS[name];
+        const { value } = await withTimeout(
+            (signal) => loadSection(section, place, signal),
+            section.timeout,
+            section.source
+        );
+        values[name] = value;
+    }));
+    return { place, values };
+}
+
+/**
+ * Fires a rule's webhook only when its condition starts holding (ok →
+ * triggered), so a city stuck at Hazardous pages once rather than every pass.
+ */
+async function evaluateRule(rule, place, sectionValue) {
+    const metric = METRICS[rule.metric];
+    const value = metric.read(sectionValue);
+    const now = new Date().toISOString();
+    const holds = value !== null && OPERATORS[rule.operator](value, rule.threshold);
+    const result = { lastValue: value, lastEvaluatedAt: now, state: holds ? "triggered" : "ok" };
+
+    if (holds && rule.state !== "triggered") {
+        try {
+            await deliverWebhook(rule, {
+                event: "alert.triggered",
+                alert: publicView(rule),
+                city: place,
+                metric: rule.metric,
+                unit: metric.unit,
+                value,
+                operator: rule.operator,
+                threshold: rule.threshold,
+                triggeredAt: now
+            });
+            result.lastTriggeredAt = now;
+            result.lastDeliveryError = null;
+            console.log(`Alert ${rule.id} fired: ${rule.metric} ${value} ${rule.operator} ${rule.threshold}`);
+        } catch (err) {
+            // Stay "ok" so the next pass retries the delivery.
+            result.state = "ok";
+            result.lastDeliveryError = err.message;
+            console.error(`Alert ${rule.id} webhook failed: ${err.message}`);
+        }
+    }
+
+    await recordEvaluation(rule.id, result);
+}
+
+// Rules saved before validateRule checked own keys only may name a metric
+// or operator inherited from Object.prototype.
+function isRunnable(rule) {
+    return Object.hasOwn(METRICS, rule.metric) && Object.hasOwn(OPERATORS, rule.operator);
+}
+
+// One pass over every enabled rule, grouped by city.
+async function runAlerts() {
+    const byCity = new Map();
+    for (const rule of listAlerts().filter((r) => r.enabled && isRunnable(r))) {
+        if (!byCity.has(rule.cityId)) byCity.set(rule.cityId, []);
+        byCity.get(rule.cityId).push(rule);
+    }
+
+    await Promise.all([...byCity].map(async ([cityId, rules]) => {
+        const sectionNames = [...new Set(rules.map((rule) => METRICS[rule.metric].section))];
+        try {
+            const { place, values } = await loadCitySections(cityId, sectionNames);
+            for (const rule of rules) {
+                await evaluateRule(rule, place, values[METRICS[rule.metric].section]);
+            }
+        } catch (err) {
+            console.error(`Alerts for ${cityId} skipped: ${err.message}`);
+        }
+    }));
+}
+
+let running = false;
+
+// ALERTS_INTERVAL_MS=0 turns the scheduler off. A pass that is still
+// running when the next tick comes is not overlapped.
+function startAlertScheduler() {
+    if (!ALERTS_INTERVAL_MS) {
+        console.log("Alert scheduler disabled");
+        return;
+    }
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await runAlerts();
+        } catch (err) {
+            console.error(`Alert pass failed: ${err.message}`);
+        } finally {
+            running = false;
+        }
+    };
+
+    setInterval(tick, ALERTS_INTERVAL_MS).unref();
+    console.log(`Alert scheduler running every ${ALERTS_INTERVAL_MS / 1000} s`);
+}
+
+module.exports = { sign, runAlerts, startAlertScheduler };
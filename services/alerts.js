@@ -0,0 +1,196 @@
+const fsp = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { getCityById } = require("./cityStore");
+const { HttpError } = require("../utils/errors");
+const { isPrivateHost } = require("../utils/addresses");
+
+/* -----------------------------
+   ALERT RULES (PERSISTED ON DISK)
+----------------------------- */
+const ALERTS_FILE = process.env.ALERTS_FILE || path.join(__dirname, "..", ".alerts.json");
+// For trying webhooks against a receiver on this machine or network.
+const ALLOW_PRIVATE_WEBHOOKS = process.env.ALERTS_ALLOW_PRIVATE_WEBHOOKS === "true";
+
+/*
+ * What a rule can watch. `section` is the SECTIONS entry the value comes
+ * from, so the scheduler fetches (and caches) exactly what /api does, and
+ * `read` pulls the number out of that section, or null when it is missing.
+ */
+const METRICS = {
+    aqi: {
+        section: "air-quality",
+        unit: "AQI",
+        read: (airQuality) => airQuality?.current?.aqi ?? null
+    },
+    maxTemp: {
+        section: "weather",
+        unit: "°C",
+        read: (weather) => weather?.daily?.temperature_2m_max?.[0] ?? null
+    },
+    minTemp: {
+        section: "weather",
+        unit: "°C",
+        read: (weather) => weather?.daily?.temperature_2m_min?.[0] ?? null
+    },
+    precipitation: {
+        section: "weather",
+        unit: "mm",
+        read: (weather) => weather?.daily?.precipitation_sum?.[0] ?? null
+    }
+};
+
+const OPERATORS = {
+    ">": (value, threshold) => value > threshold,
+    ">=": (value, threshold) => value >= threshold,
+    "<": (value, threshold) => value < threshold,
+    "<=": (value, threshold) => value <= threshold
+};
+
+// Fields a client may set; everything else is managed by the server.
+const EDITABLE = ["cityId", "metric", "operator", "threshold", "webhookUrl", "secret", "enabled", "name"];
+
+let alerts = new Map();
+// Writes are chained so two quick edits cannot interleave their renames.
+let writeQueue = Promise.resolve();
+
+function validateRule(rule) {
+    if (!rule.cityId || !getCityById(rule.cityId)) {
+        throw new HttpError(400, "cityId must be a dataset city id (see /api/search)");
+    }
+    if (!Object.hasOwn(METRICS, rule.metric)) {
+        throw new HttpError(400, `Unknown metric: ${rule.metric}`, { metrics: Object.keys(METRICS) });
+    }
+    if (!Object.hasOwn(OPERATORS, rule.operator)) {
+        throw new HttpError(400, `Unknown operator: ${rule.operator}`, { operators: Object.keys(OPERATORS) });
+    }
+    if (typeof rule.threshold !== "number" || !Number.isFinite(rule.threshold)) {
+        throw new HttpError(400, "threshold must be a number");
+    }
+
+    let url;
+    try {
+        url = new URL(rule.webhookUrl);
+    } catch {
+        throw new HttpError(400, "webhookUrl must be a URL");
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+        throw new HttpError(400, "webhookUrl must be http or https");
+    }
+    if (!ALLOW_PRIVATE_WEBHOOKS && isPrivateHost(url.hostname)) {
+        throw new HttpError(400, "webhookUrl must point to a public host");
+    }
+
+    if (typeof rule.secret !== "string" || rule.secret.length < 16) {
+        throw new HttpError(400, "secret must be at least 16 characters");
+    }
+    if (typeof rule.enabled !== "boolean") throw new HttpError(400, "enabled must be true or false");
+    return rule;
+}
+
+function pickEditable(body = {}) {
+    return Object.fromEntries(EDITABLE.filter((key) => key in body).map((key) => [key, body[key]]));
+}
+
+// The signing secret never leaves the server after creation.
+function publicView(rule) {
+    const { secret: _secret, ...rest } = rule;
+    return rest;
+}
+
+async function persist() {
+    const snapshot = JSON.stringify([...alerts.values()], null, 2);
+    // A failed write is reported to its own caller, not to the next one.
+    writeQueue = writeQueue.catch(() => {}).then(async () => {
+        const tmp = `${ALERTS_FILE}.${process.pid}.tmp`;
+        await fsp.writeFile(tmp, snapshot);
+        await fsp.rename(tmp, ALERTS_FILE);
+    });
+    return writeQueue;
+}
+
+async function loadAlerts(file = ALERTS_FILE) {
+    try {
+        const rules = JSON.parse(await fsp.readFile(file, "utf8"));
+        alerts = new Map(rules.map((rule) => [rule.id, rule]));
+    } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+        alerts = new Map();
+    }
+    console.log(`Loaded ${alerts.size} alert rules`);
+    return alerts.size;
+}
+
+function listAlerts() {
+    return [...alerts.values()];
+}
+
+function getAlert(id) {
+    const rule = alerts.get(id);
+    if (!rule) throw new HttpError(404, `Unknown alert: ${id}`);
+    return rule;
+}
+
+/**
+ * Creates a rule. Without a `secret` one is generated; either way it is
+ * returned only in this response, for the receiver to verify signatures.
+ */
+async function createAlert(body) {
+    const now = new Date().toISOString();
+    const rule = validateRule({
+        enabled: true,
+        secret: crypto.randomBytes(24).toString("hex"),
+        ...pickEditable(body),
+        id: crypto.randomUUID(),
+        state: "ok",
+        lastValue: null,
+        lastEvaluatedAt: null,
+        lastTriggeredAt: null,
+        createdAt: now,
+        updatedAt: now
+    });
+    alerts.set(rule.id, rule);
+    await persist();
+    return rule;
+}
+
+async function updateAlert(id, body) {
+    const current = getAlert(id);
+    const rule = validateRule({ ...current, ...pickEditable(body), updatedAt: new Date().toISOString() });
+    // A changed condition starts over, so it can fire again straight away.
+    if (rule.metric !== current.metric || rule.operator !== current.operator || rule.threshold !== current.threshold) {
+        rule.state = "ok";
+    }
+    alerts.set(id, rule);
+    await persist();
+    return rule;
+}
+
+async function deleteAlert(id) {
+    getAlert(id);
+    alerts.delete(id);
+    await persist();
+}
+
+// Records the outcome of one scheduler pass for a rule.
+async function recordEvaluation(id, result) {
+    const rule = alerts.get(id);
+    // Deleted while it was being evaluated.
+    if (!rule) return;
+    alerts.set(id, { ...rule, ...result });
+    await persist();
+}
+
+module.exports = {
+    ALLOW_PRIVATE_WEBHOOKS,
+    METRICS,
+    OPERATORS,
+    loadAlerts,
+    listAlerts,
+    getAlert,
+    createAlert,
+    updateAlert,
+    deleteAlert,
+    recordEvaluation,
+    publicView
+};
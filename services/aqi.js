@@ -0,0 +1,176 @@
+const { HttpError } = require("../utils/errors");
+
+/* -----------------------------
+   AQI FROM POLLUTANT CONCENTRATIONS
+----------------------------- */
+const POLLUTANTS = ["pm25", "pm10", "no2", "so2", "o3", "co"];
+
+// g/mol, for turning µg/m³ into the ppb/ppm the US tables use (25 °C, 1 atm).
+const MOLAR_MASS = { no2: 46.01, so2: 64.07, o3: 48.0, co: 28.01 };
+const MOLAR_VOLUME = 24.45;
+
+const toPpb = (pollutant) => (ugm3) => (ugm3 * MOLAR_VOLUME) / MOLAR_MASS[pollutant];
+
+/*
+ * Each scale lists, per pollutant, the averaging window in hours, a
+ * conversion from µg/m³ into the table's unit and the band upper bounds as
+ * [concentration, index] pairs. A band runs from the previous band's upper
+ * bound, which closes the small gaps the published tables leave between
+ * bands (e.g. 30 and 31 µg/m³ of PM2.5 in NAQI). Beyond the last band the
+ * index is capped at the top of the scale.
+ *
+ * NAQI: CPCB National Air Quality Index (2014). US: EPA AQI with the 2024
+ * PM2.5 breakpoints; ozone uses the 8-hour table only.
+ */
+const SCALES = {
+    naqi: {
+        name: "National AQI (India, CPCB)",
+        categories: [
+            [50, "Good"],
+            [100, "Satisfactory"],
+            [200, "Moderate"],
+            [300, "Poor"],
+            [400, "Very Poor"],
+            [500, "Severe"]
+        ],
+        // At least three pollutants, one of them PM2.5 or PM10.
+        minPollutants: 3,
+        requiresOneOf: ["pm25", "pm10"],
+        pollutants: {
+            pm25: { hours: 24, bands: [[30, 50], [60, 100], [90, 200], [120, 300], [250, 400], [380, 500]] },
+            pm10: { hours: 24, bands: [[50, 50], [100, 100], [250, 200], [350, 300], [430, 400], [510, 500]] },
+            no2: { hours: 24, bands: [[40, 50], [80, 100], [180, 200], [280, 300], [400, 400], [520, 500]] },
+            so2: { hours: 24, bands: [[40, 50], [80, 100], [380, 200], [800, 300], [1600, 400], [2400, 500]] },
+            o3: { hours: 8, bands: [[50, 50], [100, 100], [168, 200], [208, 300], [748, 400], [1000, 500]] },
+            // mg/m³
+            co: {
+                hours: 8,
+                convert: (ugm3) => ugm3 / 1000,
+                bands: [[1, 50], [2, 100], [10, 200], [17, 300], [34, 400], [51, 500]]
+            }
+        }
+    },
+    us: {
+        name: "US EPA AQI",
+        categories: [
+            [50, "Good"],
+            [100, "Moderate"],
+            [150, "Unhealthy for Sensitive Groups"],
+            [200, "Unhealthy"],
+            [300, "Very Unhealthy"],
+            [500, "Hazardous"]
+        ],
+        minPollutants: 1,
+        requiresOneOf: null,
+        pollutants: {
+            pm25: { hours: 24, bands: [[9, 50], [35.4, 100], [55.4, 150], [125.4, 200], [225.4, 300], [325.4, 500]] },
+            pm10: { hours: 24, bands: [[54, 50], [154, 100], [254, 150], [354, 200], [424, 300], [604, 500]] },
+            // ppb
+            no2: { hours: 1, convert: toPpb("no2"), bands: [[53, 50], [100, 100], [360, 150], [649, 200], [1249, 300], [2049, 500]] },
+            so2: { hours: 1, convert: toPpb("so2"), bands: [[35, 50], [75, 100], [185, 150], [304, 200], [604, 300], [1004, 500]] },
+            o3: { hours: 8, convert: toPpb("o3"), bands: [[54, 50], [70, 100], [85, 150], [105, 200], [200, 300]] },
+            // ppm
+            co: {
+                hours: 8,
+                convert: (ugm3) => toPpb("co")(ugm3) / 1000,
+                bands: [[4.4, 50], [9.4, 100], [12.4, 150], [15.4, 200], [30.4, 300], [50.4, 500]]
+            }
+        }
+    }
+};
+
+const DEFAULT_SCALE = "naqi";
+
+// Validates ?scale= (naqi by default: every dataset city is Indian).
+function resolveScale({ scale } = {}) {
+    const name = scale ? String(scale).toLowerCase() : DEFAULT_SCALE;
+    if (!Object.hasOwn(SCALES, name)) {
+        throw new HttpError(400, `Unknown AQI scale: ${scale}`, { scales: Object.keys(SCALES) });
+    }
+    return name;
+}
+
+function categorize(aqi, scale = DEFAULT_SCALE) {
+    if (aqi === null || aqi === undefined) return "No data";
+    const { categories } = SCALES[scale];
+    return (categories.find(([upper]) => aqi <= upper) || categories[categories.length - 1])[1];
+}
+
+/**
+ * Sub-index of one pollutant from its concentration in µg/m³, already
+ * averaged over the scale's window for it. Null for missing readings.
+ */
+function subIndex(pollutant, concentration, scale = DEFAULT_SCALE) {
+    if (concentration === null || concentration === undefined || concentration < 0) return null;
+    const { convert, bands } = SCALES[scale].pollutants[pollutant];
+    const value = convert ? convert(concentration) : concentration;
+
+    let [lowC, lowI] = [0, 0];
+    for (const [highC, highI] of bands) {
+        if (value <= highC) {
+            return Math.round(lowI + ((highI - lowI) * (value - lowC)) / (highC - lowC));
+        }
+        [lowC, lowI] = [highC, highI];
+    }
+    return lowI;
+}
+
+/**
+ * AQI from averaged concentrations (µg/m³ per pollutant): the highest
+ * sub-index, the pollutant behind it and its category. `aqi` is null when
+ * the scale's minimum set of pollutants was not measured.
+ */
+function computeAQI(concentrations, scale = DEFAULT_SCALE) {
+    const rules = SCALES[scale];
+    const subIndices = {};
+    for (const pollutant of POLLUTANTS) {
+        subIndices[pollutant] = subIndex(pollutant, concentrations[pollutant], scale);
+    }
+
+    const measured = POLLUTANTS.filter((p) => subIndices[p] !== null);
+    const enough = measured.length >= rules.minPollutants &&
+        (!rules.requiresOneOf || rules.requiresOneOf.some((p) => subIndices[p] !== null));
+    if (!enough) return { aqi: null, category: "No data", dominantPollutant: null, subIndices };
+
+    const dominantPollutant = measured.reduce((top, p) => (subIndices[p] > subIndices[top] ? p : top));
+    const aqi = subIndices[dominantPollutant];
+    return { aqi, category: categorize(aqi, scale), dominantPollutant, subIndices };
+}
+
+// Mean of the `hours` readings ending at `index`, or null when fewer than
+// three quarters of them were reported.
+function windowMean(series, index, hours) {
+    const window = series.slice(Math.max(index - hours + 1, 0), index + 1)
+        .filter((v) => v !== null && v !== undefined);
+    if (window.length < Math.ceil(hours * 0.75)) return null;
+    return window.reduce((sum, v) => sum + v, 0) / window.length;
+}
+
+/**
+ * AQI for every hour of an hourly series ({ timestamp, pm25, ... } rows in
+ * µg/m³), averaging each pollutant over the scale's window ending at that
+ * hour. Hours too close to the start of the series lack a full window and
+ * come out with fewer (or no) sub-indices.
+ */
+function computeHourlyAQI(rows, scale = DEFAULT_SCALE) {
+    const { pollutants } = SCALES[scale];
+    const series = Object.fromEntries(POLLUTANTS.map((p) => [p, rows.map((row) => row[p])]));
+
+    return rows.map((row, i) => {
+        const averaged = Object.fromEntries(
+            POLLUTANTS.map((p) => [p, windowMean(series[p], i, pollutants[p].hours)])
+        );
+        return { timestamp: row.timestamp, ...computeAQI(averaged, scale) };
+    });
+}
+
+module.exports = {
+    POLLUTANTS,
+    SCALES,
+    DEFAULT_SCALE,
+    resolveScale,
+    categorize,
+    subIndex,
+    computeAQI,
+    computeHourlyAQI
+};
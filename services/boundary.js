@@ -0,0 +1,75 @@
+const { safeFetch } = require("../utils/fetch");
+const { pointInGeometry, geometryAreaKm2 } = require("../utils/geo");
+const { getCityById } = require("./cityStore");
+const { DAY, cached } = require("../cache");
+
+/* -----------------------------
+   ADMINISTRATIVE BOUNDARY (NOMINATIM)
+----------------------------- */
+// Outline simplification in degrees (about 100 m); full-detail outlines of
+// large cities run to megabytes.
+const POLYGON_THRESHOLD = 0.001;
+const POLYGON_TYPES = new Set(["Polygon", "MultiPolygon"]);
+// Overpass derives an area from a closed way or relation, under the OSM id
+// offset by the object's type.
+const AREA_ID_OFFSET = { way: 2400000000, relation: 3600000000 };
+
+// Lookups in flight, so sections loading side by side share one request.
+const pending = new Map();
+
+/*
+ * The Nominatim result whose outline contains the place. A name like
+ * "Pune" returns both the city and the district around it, so a dataset
+ * city takes the outline closest in size to its CSV Area, which is the
+ * municipal area; other places take Nominatim's best-ranked one.
+ */
+function pickBoundary(results, place) {
+    const candidates = results
+        .filter((r) => AREA_ID_OFFSET[r.osm_type] && POLYGON_TYPES.has(r.geojson?.type))
+        .filter((r) => pointInGeometry(place.lat, place.lon, r.geojson))
+        .map((result) => ({ result, areaKm2: geometryAreaKm2(result.geojson) }));
+
+    const csvArea = place.id ? getCityById(place.id)?.area : null;
+    if (csvArea) {
+        const misfit = ({ areaKm2 }) => Math.abs(Math.log(areaKm2 / csvArea));
+        candidates.sort((a, b) => misfit(a) - misfit(b));
+    }
+    return candidates[0] ?? null;
+}
+
+async function fetchBoundary(place, signal) {
+    const query = place.state ? `${place.name}, ${place.state}` : place.name;
+    const nominatimURL = `https://nominatim.openstreetmap.org/search?format=json&polygon_geojson=1&polygon_threshold=${POLYGON_THRESHOLD}&q=${encodeURIComponent(
+        query
+    )}&countrycodes=in&limit=10`;
+    const best = pickBoundary(await safeFetch(nominatimURL, { signal }), place);
+    if (!best) return null;
+
+    const { result, areaKm2 } = best;
+    return {
+        osmId: `${result.osm_type}/${result.osm_id}`,
+        areaId: AREA_ID_OFFSET[result.osm_type] + Number(result.osm_id),
+        name: result.name || place.name,
+        displayName: result.display_name,
+        areaKm2: Math.round(areaKm2 * 10) / 10,
+        geojson: result.geojson
+    };
+}
+
+/**
+ * The place's administrative boundary `{ osmId, areaId, name, displayName,
+ * areaKm2, geojson }`, where `areaId` is the Overpass area id and `geojson`
+ * a Polygon or MultiPolygon. Null when none of Nominatim's outlines for the
+ * name contains the place; that answer is cached like a found boundary.
+ */
+function getBoundary(place, signal) {
+    const key = `boundary:${place.lat.toFixed(4)},${place.lon.toFixed(4)}`;
+    if (!pending.has(key)) {
+        pending.set(key, cached(key, 30 * DAY, () => fetchBoundary(place, signal))
+            .then(({ value }) => value)
+            .finally(() => pending.delete(key)));
+    }
+    return pending.get(key);
+}
+
+module.exports = { getBoundary };
@@ -0,0 +1,294 @@
+const fs = require("fs");
+const path = require("path");
+const csv = require("csv-parser");
+const { haversineKm, toRadians } = require("../utils/geo");
+
+const CITIES_CSV = path.join(__dirname, "..", "data", "final_cities.csv");
+
+// Side of a spatial index cell, in degrees.
+const GRID_SIZE = 1;
+const KM_PER_DEGREE = 111.32;
+
+// India's bounding box. Coordinates outside it are data errors (several
+// rows in the CSV carry 0,0) and are kept out of the spatial index.
+const LAT_RANGE = [6, 38];
+const LON_RANGE = [68, 98];
+
+/*
+ * The whole of final_cities.csv, parsed once and held in memory:
+ *
+ *   records   - every valid row, in file order
+ *   byId      - id -> record
+ *   byCity,
+ *   byDistrict,
+ *   byState   - normalized name -> records
+ *   grid      - "latCell:lonCell" -> records with usable coordinates
+ *
+ * loadCities() builds a fresh dataset and swaps it in whole, so readers
+ * never see a half-built index during a reload.
+ */
+let dataset = buildDataset([], []);
+
+// "Aurangabad (Nagar Parishad)" and "aurangabad" both become "aurangabad".
+function normalizeName(value) {
+    return String(value || "")
+        .toLowerCase()
+        .replace(/\(.*?\)/g, " ")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+}
+
+// "Aurangabad (Nagar Parishad)" -> "Aurangabad"
+function cleanCityName(city) {
+    return city.replace(/\s*\(.*?\)\s*/g, " ").trim();
+}
+
+// "Aurangabad, Bihar", or "GHMC, Rangareddy, Andhra Pradesh" when the
+// district adds information.
+function labelFor(record) {
+    const name = cleanCityName(record.city);
+    const parts = [name];
+    if (record.district && normalizeName(record.district) !== normalizeName(name)) {
+        parts.push(record.district);
+    }
+    parts.push(record.state);
+    return parts.join(", ");
+}
+
+function slugify(value) {
+    return normalizeName(value).replace(/ /g, "-");
+}
+
+function gridKey(lat, lon) {
+    return `${Math.floor(lat / GRID_SIZE)}:${Math.floor(lon / GRID_SIZE)}`;
+}
+
+function readRows(file) {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        fs.createReadStream(file)
+            .on("error", reject)
+            .pipe(csv())
+            .on("data", (row) => rows.push(row))
+            .on("end", () => resolve(rows))
+            .on("error", reject);
+    });
+}
+
+/**
+ * Turns a raw CSV row into a record. Rows without a state, city or a
+ * usable population are rejected; a missing area or out-of-range
+ * coordinates only null out that field and add a warning.
+ */
+function validateRow(row, line) {
+    const state = row.State?.trim();
+    const district = row.District?.trim() || null;
+    const city = row.City?.trim();
+    const population = Number(row.Population);
+
+    if (!state || !city) {
+        return { error: `line ${line}: missing State or City` };
+    }
+    if (!Number.isFinite(population) || population <= 0) {
+        return { error: `line ${line}: invalid Population "${row.Population}"` };
+    }
+
+    const warnings = [];
+
+    let area = Number(row.Area);
+    if (!Number.isFinite(area) || area <= 0) {
+        warnings.push(`line ${line}: no Area for ${city}`);
+        area = null;
+    }
+
+    let lat = Number(row.Latitude);
+    let lon = Number(row.Longitude);
+    const inIndia =
+        Number.isFinite(lat) && Number.isFinite(lon) &&
+        lat >= LAT_RANGE[0] && lat <= LAT_RANGE[1] &&
+        lon >= LON_RANGE[0] && lon <= LON_RANGE[1];
+    if (!inIndia) {
+        warnings.push(`line ${line}: coordinates outside India for ${city}`);
+        lat = null;
+        lon = null;
+    }
+
+    return {
+        record: { state, district, city, population, area, lat, lon },
+        warnings
+    };
+}
+
+function addTo(index, key, record) {
+    if (!key) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(record);
+}
+
+function buildDataset(records, warnings) {
+    const byId = new Map();
+    const byCity = new Map();
+    const byDistrict = new Map();
+    const byState = new Map();
+    const grid = new Map();
+
+    for (const record of records) {
+        // Ids only need to be unique and stable while the file's row order is.
+        const base = slugify(`${record.state} ${record.district || ""} ${record.city}`);
+        let id = base;
+        for (let n = 2; byId.has(id); n++) id = `${base}-${n}`;
+        record.id = id;
+        byId.set(id, record);
+
+        addTo(byCity, normalizeName(record.city), record);
+        addTo(byDistrict, normalizeName(record.district), record);
+        addTo(byState, normalizeName(record.state), record);
+        if (record.lat !== null) addTo(grid, gridKey(record.lat, record.lon), record);
+    }
+
+    return {
+        records,
+        byId,
+        byCity,
+        byDistrict,
+        byState,
+        grid,
+        warnings,
+        loadedAt: new Date().toISOString()
+    };
+}
+
+/* -----------------------------
+   LOADING & HOT RELOAD
+----------------------------- */
+async function loadCities(file = CITIES_CSV) {
+    const rows = await readRows(file);
+
+    const records = [];
+    const warnings = [];
+    let skipped = 0;
+
+    rows.forEach((row, idx) => {
+        // +2: header line, and CSV lines are 1-based
+        const result = validateRow(row, idx + 2);
+        if (result.error) {
+            skipped++;
+            warnings.push(result.error);
+            return;
+        }
+        records.push(result.record);
+        warnings.push(...result.warnings);
+    });
+
+    if (records.length === 0) {
+        throw new Error(`No valid rows in ${path.basename(file)}`);
+    }
+
+    dataset = buildDataset(records, warnings);
+    console.log(
+        `Loaded ${records.length} cities from ${path.basename(file)} ` +
+        `(${skipped} rows skipped, ${warnings.length} warnings)`
+    );
+    return datasetInfo();
+}
+
+// Polls rather than fs.watch so editors that save via rename are seen too.
+// A reload that fails validation keeps the previous dataset in place.
+function watchCities(file = CITIES_CSV) {
+    const watcher = fs.watchFile(file, { interval: 2000 }, (curr, prev) => {
+        if (curr.mtimeMs === prev.mtimeMs) return;
+        console.log(`${path.basename(file)} changed, reloading`);
+        loadCities(file).catch((err) => {
+            console.error(`City dataset reload failed, keeping previous data: ${err.message}`);
+        });
+    });
+    watcher.unref();
+}
+
+/* -----------------------------
+   LOOKUPS
+----------------------------- */
+function datasetInfo() {
+    return {
+        cities: dataset.records.length,
+        warnings: dataset.warnings.length,
+        loadedAt: dataset.loadedAt
+    };
+}
+
+function allCities() {
+    return dataset.records;
+}
+
+function getCityById(id) {
+    return dataset.byId.get(id) || null;
+}
+
+// Every dataset city in a state, matched by normalized name; [] if unknown.
+function citiesInState(state) {
+    return dataset.byState.get(normalizeName(state)) || [];
+}
+
+/**
+ * Exact (normalized) name lookup, preferring a city over a district over a
+ * state. Returns `{ matchedOn, records }` or null.
+ */
+function findByName(name) {
+    const key = normalizeName(name);
+    if (!key) return null;
+
+    if (dataset.byCity.has(key)) return { matchedOn: "city", records: dataset.byCity.get(key) };
+    if (dataset.byDistrict.has(key)) return { matchedOn: "district", records: dataset.byDistrict.get(key) };
+    if (dataset.byState.has(key)) return { matchedOn: "state", records: dataset.byState.get(key) };
+    return null;
+}
+
+/**
+ * The `limit` dataset cities closest to a point, each with `distanceKm`.
+ * Scans grid rings outward and stops once no unvisited cell can hold
+ * anything closer than the current worst match.
+ */
+function nearestCities(lat, lon, limit = 5) {
+    const [row, col] = gridKey(lat, lon).split(":").map(Number);
+    const kmPerCell = GRID_SIZE * KM_PER_DEGREE * Math.cos(toRadians(lat));
+    // Far enough to sweep the whole bounding box, even from outside it.
+    const maxRing = Math.max(
+        Math.abs(row - Math.floor(LAT_RANGE[0] / GRID_SIZE)),
+        Math.abs(row - Math.floor(LAT_RANGE[1] / GRID_SIZE)),
+        Math.abs(col - Math.floor(LON_RANGE[0] / GRID_SIZE)),
+        Math.abs(col - Math.floor(LON_RANGE[1] / GRID_SIZE))
+    );
+    const found = [];
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+        for (let r = row - ring; r <= row + ring; r++) {
+            for (let c = col - ring; c <= col + ring; c++) {
+                // Only the outline of the square is new in this ring.
+                if (Math.abs(r - row) !== ring && Math.abs(c - col) !== ring) continue;
+                for (const record of dataset.grid.get(`${r}:${c}`) || []) {
+                    found.push({ ...record, distanceKm: haversineKm(lat, lon, record.lat, record.lon) });
+                }
+            }
+        }
+
+        found.sort((a, b) => a.distanceKm - b.distanceKm);
+        if (found.length >= limit && found[limit - 1].distanceKm <= ring * kmPerCell) break;
+    }
+
+    return found.slice(0, limit);
+}
+
+module.exports = {
+    CITIES_CSV,
+    normalizeName,
+    cleanCityName,
+    labelFor,
+    loadCities,
+    watchCities,
+    datasetInfo,
+    allCities,
+    getCityById,
+    citiesInState,
+    findByName,
+    nearestCities
+};
@@ -0,0 +1,169 @@
+const { safeFetch } = require("../utils/fetch");
+const { HttpError } = require("../utils/errors");
+const { forCity } = require("../upstream");
+const { DAY, cached } = require("../cache");
+const {
+    getCityById,
+    findByName,
+    normalizeName,
+    cleanCityName,
+    labelFor
+} = require("./cityStore");
+
+const GEOCODE_TIMEOUT_MS = 5000;
+
+// Nominatim result classes that describe a settlement rather than a shop,
+// road or river that happens to share the name.
+const PLACE_CLASSES = new Set(["place", "boundary"]);
+
+function candidateFromRecord(record) {
+    return {
+        id: record.id,
+        name: cleanCityName(record.city),
+        district: record.district,
+        state: record.state,
+        lat: record.lat,
+        lon: record.lon,
+        population: record.population
+    };
+}
+
+// One candidate per state: same-state duplicates (ward rows, "X" and
+// "X (CT)") are the same place for our purposes, so keep the largest.
+function distinctByState(records) {
+    const byState = new Map();
+    for (const record of records) {
+        const seen = byState.get(record.state);
+        if (!seen || seen.population < record.population) byState.set(record.state, record);
+    }
+    return [...byState.values()];
+}
+
+function ambiguous(query, candidates) {
+    return new HttpError(300, `Multiple places match "${query}". Pick one by id or state.`, {
+        candidates
+    });
+}
+
+/* -----------------------------
+   CITY SEARCH (NOMINATIM)
+----------------------------- */
+async function searchNominatim(query, signal) {
+    const key = `geocode:${normalizeName(query)}`;
+    const { value } = await cached(key, 7 * DAY, async () => {
+        const nominatimURL = `https://nominatim.openstreetmap.org/search?format=json&addressdetails=1&q=${encodeURIComponent(
+            query
+        )}&countrycodes=in&limit=5`;
+        return safeFetch(nominatimURL, { signal });
+    });
+    return value;
+}
+
+function districtOf(result) {
+    return result.address?.state_district || result.address?.county || null;
+}
+
+function placeFromNominatim(result, extra = {}) {
+    return {
+        displayName: result.display_name,
+        lat: Number(result.lat),
+        lon: Number(result.lon),
+        ...extra
+    };
+}
+
+async function placeFromRecord(record, signal) {
+    const place = {
+        id: record.id,
+        name: cleanCityName(record.city),
+        district: record.district,
+        state: record.state
+    };
+
+    if (record.lat !== null) {
+        return { ...place, displayName: `${labelFor(record)}, India`, lat: record.lat, lon: record.lon };
+    }
+
+    // The CSV has no usable coordinates for this row; ask Nominatim, pinned
+    // to the row's state so it cannot wander off to a namesake.
+    const [result] = await searchNominatim(`${place.name}, ${record.state}`, signal);
+    if (!result) throw new HttpError(404, `Could not locate ${labelFor(record)}`);
+    return { ...place, ...placeFromNominatim(result) };
+}
+
+// Free-text fallback for names the dataset does not know.
+async function placeFromNominatimSearch(cityName, state, signal) {
+    let results = (await searchNominatim(cityName, signal))
+        .filter((r) => PLACE_CLASSES.has(r.class));
+
+    if (state) {
+        results = results.filter((r) => normalizeName(r.address?.state) === normalizeName(state));
+    }
+    if (results.length === 0) throw new HttpError(404, "City not found");
+
+    // Nominatim ranks by importance, so the first hit per state is the one to offer.
+    const firstByState = new Map();
+    for (const result of results) {
+        const resultState = result.address?.state;
+        if (resultState && !firstByState.has(resultState)) firstByState.set(resultState, result);
+    }
+    if (firstByState.size > 1) {
+        throw ambiguous(cityName, [...firstByState.values()].map((r) => ({
+            id: null,
+            name: r.name || cityName,
+            district: districtOf(r),
+            state: r.address.state,
+            lat: Number(r.lat),
+            lon: Number(r.lon),
+            population: null
+        })));
+    }
+
+    const [best] = results;
+    return placeFromNominatim(best, {
+        id: null,
+        name: cityName,
+        district: districtOf(best),
+        state: best.address?.state || null
+    });
+}
+
+/**
+ * Turns `{ id }` or `{ city, state? }` into a place
+ * `{ id, name, displayName, lat, lon, district, state }`.
+ *
+ * Dataset cities win over Nominatim so the stable id and the CSV's own
+ * coordinates are used. A name found in more than one state is rejected
+ * with a 300 listing the candidates unless `state` picks one. Upstream
+ * lookups are attributed to the id or name asked for.
+ */
+function resolveCity(query, signal) {
+    return forCity(query.id ?? query.city, () => resolvePlace(query, signal));
+}
+
+async function resolvePlace({ id, city, state }, signal) {
+    if (id) {
+        const record = getCityById(id);
+        if (!record) throw new HttpError(404, `Unknown city id: ${id}`);
+        return placeFromRecord(record, signal);
+    }
+
+    if (!city) throw new HttpError(400, "City is required");
+
+    const match = findByName(city);
+    if (match && match.matchedOn !== "state") {
+        let records = match.records;
+        if (state) {
+            records = records.filter((r) => normalizeName(r.state) === normalizeName(state));
+            if (records.length === 0) throw new HttpError(404, `No "${city}" found in ${state}`);
+        }
+
+        const candidates = distinctByState(records);
+        if (candidates.length > 1) throw ambiguous(city, candidates.map(candidateFromRecord));
+        return placeFromRecord(candidates[0], signal);
+    }
+
+    return placeFromNominatimSearch(city, state, signal);
+}
+
+module.exports = { GEOCODE_TIMEOUT_MS, resolveCity };
@@ -0,0 +1,92 @@
+const { allCities, normalizeName } = require("./cityStore");
+const { CLASSES: WATER_CLASSES } = require("./water");
+
+/* -----------------------------
+   DERIVED INDICATORS
+----------------------------- */
+const PER_100K = 100000;
+
+// Dataset columns a city can be ranked against, by percentile.
+const PERCENTILE_METRICS = {
+    population: (record) => record.population,
+    area: (record) => record.area,
+    density: (record) => density(record.population, record.area)
+};
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// People per km², or null without both figures.
+function density(population, area) {
+    return population != null && area ? Math.round(population / area) : null;
+}
+
+function per100k(count, population) {
+    return count != null && population ? round((count / population) * PER_100K, 1) : null;
+}
+
+/**
+ * Share of `values` below `value`, counting ties as half, as 0-100. The
+ * half-tie rule keeps a city that shares its value with many others in the
+ * middle of that group rather than at its top.
+ */
+function percentileRank(value, values) {
+    if (value == null || values.length === 0) return null;
+    let below = 0;
+    let equal = 0;
+    for (const v of values) {
+        if (v < value) below++;
+        else if (v === value) equal++;
+    }
+    return Math.round(((below + equal / 2) / values.length) * 100);
+}
+
+// Percentile of `value` among all dataset cities and among those in `state`.
+function percentiles(metric, value, state) {
+    const valueOf = PERCENTILE_METRICS[metric];
+    const all = [];
+    const sameState = [];
+    for (const record of allCities()) {
+        const v = valueOf(record);
+        if (v == null) continue;
+        all.push(v);
+        if (state && normalizeName(record.state) === normalizeName(state)) sameState.push(v);
+    }
+    return {
+        all: percentileRank(value, all),
+        state: percentileRank(value, sameState)
+    };
+}
+
+/**
+ * Ratios stakeholders ask for, from a place and its loaded sections (keyed
+ * like the /api response: stats, infrastructure, waterBodies). Any section
+ * may be null after a failure; indicators that depend on it come back null
+ * instead of failing the rest.
+ */
+function deriveIndicators(place, { stats, infrastructure, waterBodies }) {
+    const population = stats?.population ?? null;
+    const area = stats?.area ?? null;
+    const state = place.state;
+    const cityDensity = density(population, area);
+    const waterBodyCount = waterBodies
+        ? WATER_CLASSES.reduce((sum, waterClass) => sum + (waterBodies[waterClass]?.count ?? 0), 0)
+        : null;
+
+    return {
+        density: cityDensity,
+        hospitalsPer100k: per100k(infrastructure?.hospitals, population),
+        schoolsPer100k: per100k(infrastructure?.schools, population),
+        collegesPer100k: per100k(infrastructure?.colleges, population),
+        waterBodiesPerKm2: waterBodyCount != null && area ? round(waterBodyCount / area, 3) : null,
+        percentiles: {
+            population: percentiles("population", population, state),
+            area: percentiles("area", area, state),
+            density: percentiles("density", cityDensity, state)
+        }
+    };
+}
+
+module.exports = { density, per100k, percentileRank, deriveIndicators };
@@ -0,0 +1,210 @@
+const { fetchOverpass } = require("../utils/fetch");
+const { HttpError } = require("../utils/errors");
+const { haversineKm, toRadians } = require("../utils/geo");
+const { resolveSearchArea } = require("./searchArea");
+
+/* -----------------------------
+   INFRASTRUCTURE (OSM)
+----------------------------- */
+/*
+ * Facility categories by response key. `match` lists alternative tag
+ * filters and an element belongs to the category when it satisfies any of
+ * them; each filter is a list of [key, op, value] conditions that must all
+ * hold, op being "=", "!=" or "exists". The Overpass query and the matching
+ * are both built from here, so adding a category is one entry.
+ *
+ * Optional `mergeMetres` is how close two features must be to count as one
+ * facility (DEFAULT_MERGE_METRES otherwise), and `mergeAnyName` merges them
+ * even when both are named differently, e.g. a metro station and its
+ * "Gate 2" entrance.
+ */
+const REGISTRY = {
+    hospitals: { match: [[["amenity", "=", "hospital"]]] },
+    schools: { match: [[["amenity", "=", "school"]]] },
+    colleges: { match: [[["amenity", "=", "college"]]] },
+    railwayStations: {
+        match: [[["railway", "=", "station"], ["station", "!=", "subway"]]],
+        mergeMetres: 300
+    },
+    metroStations: {
+        match: [
+            [["railway", "=", "station"], ["station", "=", "subway"]],
+            [["railway", "=", "subway_entrance"]],
+            [["public_transport", "=", "station"], ["subway", "=", "yes"]]
+        ],
+        mergeMetres: 300,
+        mergeAnyName: true
+    },
+    pharmacies: { match: [[["amenity", "=", "pharmacy"]]] },
+    policeStations: { match: [[["amenity", "=", "police"]]] },
+    fireStations: { match: [[["amenity", "=", "fire_station"]]] },
+    banks: { match: [[["amenity", "=", "bank"]]] },
+    parks: { match: [[["leisure", "=", "park"]]] },
+    busStations: { match: [[["amenity", "=", "bus_station"]]] },
+    // Airstrips and helipads are aerodromes too; only airports have an IATA code
+    airports: { match: [[["aeroway", "=", "aerodrome"], ["iata", "exists"]]], mergeMetres: 3000, mergeAnyName: true }
+};
+
+// A hospital's POI node usually sits inside its building outline.
+const DEFAULT_MERGE_METRES = 150;
+
+const CATEGORIES = Object.keys(REGISTRY);
+
+// Validates ?categories= (comma-separated). Null means all of them.
+function resolveCategories({ categories } = {}) {
+    if (categories === undefined || String(categories).trim() === "") return null;
+    const requested = [...new Set(String(categories).split(",").map((c) => c.trim()).filter(Boolean))];
+    const unknown = requested.filter((c) => !REGISTRY[c]);
+    if (unknown.length > 0) {
+        throw new HttpError(400, `Unknown categor${unknown.length > 1 ? "ies" : "y"}: ${unknown.join(", ")}`, {
+            categories: CATEGORIES
+        });
+    }
+    return requested;
+}
+
+function overpassFilter([key, op, value]) {
+    return op === "exists" ? `["${key}"]` : `["${key}"${op}"${value}"]`;
+}
+
+function satisfies(tags, [key, op, value]) {
+    if (op === "exists") return tags[key] !== undefined;
+    if (op === "!=") return tags[key] !== value;
+    return tags[key] === value;
+}
+
+function matches(category, tags) {
+    return REGISTRY[category].match.some((conditions) => conditions.every((c) => satisfies(tags, c)));
+}
+
+// `out center` puts a node's position in lat/lon and a way's or relation's
+// in `center`.
+function position(el) {
+    const lat = el.lat ?? el.center?.lat;
+    const lon = el.lon ?? el.center?.lon;
+    return lat === undefined || lon === undefined ? null : { lat, lon };
+}
+
+function normalizeName(name) {
+    return name ? name.trim().toLowerCase().replace(/\s+/g, " ") : null;
+}
+
+/*
+ * Collapses one category's elements into facilities. OSM often maps a
+ * facility twice, as a node and as the way or relation outlining it, so
+ * features within `mergeMetres` of each other are one facility when their
+ * names agree or one of them has none. A named feature represents the
+ * facility over an unnamed one. Nearby features are found through a grid
+ * of cells about `mergeMetres` wide.
+ */
+function mergeFacilities(elements, { mergeMetres = DEFAULT_MERGE_METRES, mergeAnyName = false }) {
+    const facilities = [];
+    const grid = new Map();
+    const cellLat = mergeMetres / 111320;
+
+    for (const el of elements) {
+        const point = position(el);
+        if (!point) continue;
+        const name = normalizeName(el.tags.name);
+        const cellLon = cellLat / Math.cos(toRadians(point.lat));
+        const row = Math.floor(point.lat / cellLat);
+        const col = Math.floor(point.lon / cellLon);
+
+        let same = null;
+        for (let r = row - 1; r <= row + 1 && !same; r++) {
+            for (let c = col - 1; c <= col + 1 && !same; c++) {
+                same = (grid.get(`${r}:${c}`) || []).find((f) =>
+                    (mergeAnyName || !name || !f.name || f.name === name) &&
+                    haversineKm(point.lat, point.lon, f.point.lat, f.point.lon) * 1000 <= mergeMetres
+                );
+            }
+        }
+
+        if (same) {
+            if (!same.name && name) Object.assign(same, { el, name });
+            continue;
+        }
+        const facility = { el, point, name };
+        facilities.push(facility);
+        const key = `${row}:${col}`;
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(facility);
+    }
+    return facilities;
+}
+
+// Facility as a GeoJSON point; `name` is null for unnamed ones.
+function toFeature({ el, point }, category) {
+    return {
+        type: "Feature",
+        id: `${el.type}/${el.id}`,
+        geometry: { type: "Point", coordinates: [point.lon, point.lat] },
+        properties: { category, name: el.tags.name || null }
+    };
+}
+
+/**
+ * Counts and names of each facility category around the place, plus a
+ * GeoJSON FeatureCollection with one point per facility for the map.
+ * Nodes, ways and relations are all searched; each OSM object counts once
+ * and mergeFacilities folds duplicates of one facility together. Category
+ * counts are of named facilities, `unnamed` counts the rest.
+ *
+ * The search covers the area resolveSearchArea picks, a circle of
+ * `radiusKm` when given, and `categories` narrows it to some registry
+ * entries.
+ */
+async function getInfrastructure(place, { radiusKm, categories } = {}, signal) {
+    const selected = categories || CATEGORIES;
+    const searchArea = await resolveSearchArea(place, radiusKm, signal);
+
+    const statements = selected.flatMap((category) =>
+        REGISTRY[category].match.map((conditions) => `  nwr${conditions.map(overpassFilter).join("")}${searchArea.filter};`)
+    );
+    const infraQuery = `
+[out:json][timeout:25];
+${searchArea.prelude}
+(
+${statements.join("\n")}
+);
+out center;
+`;
+
+    const infraData = await fetchOverpass(infraQuery, signal);
+
+    // Overpass already returns each object once; the id check also covers
+    // an object reported twice by a misbehaving mirror.
+    const seen = new Set();
+    const elements = infraData.elements.filter((el) => {
+        const id = `${el.type}/${el.id}`;
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return el.tags;
+    });
+
+    const infra = Object.fromEntries(selected.map((category) => {
+        const facilities = mergeFacilities(elements.filter((el) => matches(category, el.tags)), REGISTRY[category]);
+        return [category, {
+            named: facilities.filter((f) => f.name),
+            unnamed: facilities.filter((f) => !f.name)
+        }];
+    }));
+
+    return {
+        searchArea: searchArea.area,
+        ...Object.fromEntries(selected.map((category) => [category, infra[category].named.length])),
+        names: Object.fromEntries(selected.map((category) => [
+            category,
+            [...new Set(infra[category].named.map((f) => f.el.tags.name))]
+        ])),
+        unnamed: Object.fromEntries(selected.map((category) => [category, infra[category].unnamed.length])),
+        geojson: {
+            type: "FeatureCollection",
+            features: selected.flatMap((category) =>
+                [...infra[category].named, ...infra[category].unnamed].map((f) => toFeature(f, category))
+            )
+        }
+    };
+}
+
+module.exports = { CATEGORIES, resolveCategories, getInfrastructure };
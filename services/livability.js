@@ -0,0 +1,177 @@
+const fs = require("fs");
+const path = require("path");
+const { per100k } = require("./indicators");
+const { HttpError } = require("../utils/errors");
+
+/* -----------------------------
+   LIVABILITY SCORE
+----------------------------- */
+const LIVABILITY_CONFIG =
+    process.env.LIVABILITY_CONFIG || path.join(__dirname, "..", "config", "livability.json");
+
+const clamp = (value) => Math.min(Math.max(value, 0), 100);
+
+// Per AQI scale; "Moderate" means different things on the two.
+const AQI_CATEGORY_SCORES = {
+    naqi: {
+        "Good": 100,
+        "Satisfactory": 80,
+        "Moderate": 60,
+        "Poor": 40,
+        "Very Poor": 20,
+        "Severe": 0
+    },
+    us: {
+        "Good": 100,
+        "Moderate": 80,
+        "Unhealthy for Sensitive Groups": 60,
+        "Unhealthy": 40,
+        "Very Unhealthy": 20,
+        "Hazardous": 0
+    }
+};
+
+/*
+ * Every component scores 0-100 from one city profile, or returns null when
+ * the section it needs is missing. `value` is the raw figure the score came
+ * from, reported back so the breakdown can be explained.
+ */
+const COMPONENTS = {
+    // Current AQI category.
+    airQuality: ({ airQuality }) => {
+        const scores = AQI_CATEGORY_SCORES[airQuality?.scale];
+        const category = airQuality?.current?.category;
+        if (!scores || !Object.hasOwn(scores, category)) return null;
+        return { value: category, score: scores[category] };
+    },
+
+    // Five points off per degree of the week's hottest day above 35 °C and
+    // coldest night below 10 °C.
+    temperature: ({ weather }) => {
+        if (!weather) return null;
+        const hottest = Math.max(...weather.daily.temperature_2m_max);
+        const coldest = Math.min(...weather.daily.temperature_2m_min);
+        const penalty = 5 * Math.max(hottest - 35, 0) + 5 * Math.max(10 - coldest, 0);
+        return { value: { hottest, coldest }, score: clamp(100 - penalty) };
+    },
+
+    // Full marks up to 10 mm over the 7-day forecast, nothing from 110 mm.
+    precipitation: ({ weather }) => {
+        if (!weather) return null;
+        const total = weather.daily.precipitation_sum.reduce((sum, mm) => sum + (mm || 0), 0);
+        return { value: Math.round(total * 10) / 10, score: clamp(110 - total) };
+    },
+
+    // Hospitals, schools and colleges per 100k residents; 50 is full marks.
+    // Null when ?categories= left any of them out of the search.
+    infrastructure: ({ infrastructure, stats }) => {
+        const counts = [infrastructure?.hospitals, infrastructure?.schools, infrastructure?.colleges];
+        if (counts.some((count) => count === undefined)) return null;
+        const facilities = counts.reduce((sum, count) => sum + count, 0);
+        const rate = per100k(facilities, stats?.population);
+        if (rate === null) return null;
+        return { value: rate, score: clamp(rate * 2) };
+    },
+
+    // Railway and metro stations in reach; ten is full marks.
+    transit: ({ infrastructure }) => {
+        const counts = [infrastructure?.railwayStations, infrastructure?.metroStations];
+        if (counts.some((count) => count === undefined)) return null;
+        const stations = counts[0] + counts[1];
+        return { value: stations, score: clamp(stations * 10) };
+    },
+
+    // Full marks up to 5,000 people per km², nothing from 30,000.
+    density: ({ indicators }) => {
+        const density = indicators?.density;
+        if (density == null) return null;
+        return { value: density, score: clamp(100 - ((density - 5000) / 25000) * 100) };
+    }
+};
+
+function validateWeights(weights, origin) {
+    for (const [name, weight] of Object.entries(weights)) {
+        if (!Object.hasOwn(COMPONENTS, name)) {
+            throw new HttpError(400, `Unknown livability component in ${origin}: ${name}`, {
+                components: Object.keys(COMPONENTS)
+            });
+        }
+        if (typeof weight !== "number" || !Number.isFinite(weight) || weight < 0) {
+            throw new HttpError(400, `Livability weight for ${name} in ${origin} must be a non-negative number`);
+        }
+    }
+    return weights;
+}
+
+// Named weighting profiles; read once at startup so a broken file fails fast.
+function loadProfiles(file = LIVABILITY_CONFIG) {
+    const profiles = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!profiles.default) throw new Error(`${path.basename(file)} has no "default" profile`);
+    for (const [name, weights] of Object.entries(profiles)) {
+        validateWeights(weights, `profile "${name}"`);
+    }
+    return profiles;
+}
+
+const PROFILES = loadProfiles();
+
+// "airQuality:2,density:0" → { airQuality: 2, density: 0 }
+function parseWeights(param) {
+    // fromEntries makes "__proto__" an own key, which validation then rejects
+    const weights = Object.fromEntries(String(param).split(",").filter(Boolean).map((pair) => {
+        const [name, raw] = pair.split(":").map((part) => part.trim());
+        return [name, raw === undefined || raw === "" ? NaN : Number(raw)];
+    }));
+    return validateWeights(weights, "weights");
+}
+
+/**
+ * Picks the weights for a request: a named `profile` from the config file
+ * (default "default"), with any `weights` query overriding single components.
+ */
+function resolveWeights({ profile = "default", weights } = {}) {
+    // hasOwn, so "constructor" and friends are not profiles
+    const base = Object.hasOwn(PROFILES, profile) ? PROFILES[profile] : null;
+    if (!base) {
+        throw new HttpError(400, `Unknown livability profile: ${profile}`, { profiles: Object.keys(PROFILES) });
+    }
+    return { profile, weights: { ...base, ...(weights ? parseWeights(weights) : {}) } };
+}
+
+/**
+ * 0-100 weighted average of the component scores. `data` holds the loaded
+ * sections keyed like the /api response plus the derived `indicators`.
+ * Components that cannot be scored are left out and the rest re-weighted,
+ * so a failed section lowers `coverage` rather than the score itself.
+ */
+function scoreLivability(data, { profile, weights }) {
+    const components = {};
+    let weighted = 0;
+    let usedWeight = 0;
+    let totalWeight = 0;
+
+    for (const [name, scoreComponent] of Object.entries(COMPONENTS)) {
+        const weight = weights[name] ?? 0;
+        const result = scoreComponent(data);
+        totalWeight += weight;
+
+        if (result === null) {
+            components[name] = { score: null, weight, value: null };
+            continue;
+        }
+
+        const score = Math.round(result.score);
+        components[name] = { score, weight, value: result.value };
+        weighted += score * weight;
+        usedWeight += weight;
+    }
+
+    return {
+        score: usedWeight ? Math.round(weighted / usedWeight) : null,
+        profile,
+        coverage: totalWeight ? Math.round((usedWeight / totalWeight) * 100) / 100 : 0,
+        components
+    };
+}
+
+module.exports = { COMPONENTS, PROFILES, resolveWeights, scoreLivability };
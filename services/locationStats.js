@@ -0,0 +1,36 @@
+const { HttpError } = require("../utils/errors");
+const { findByName, getCityById } = require("./cityStore");
+
+/* -----------------------------
+   POPULATION & AREA (CSV)
+----------------------------- */
+async function getLocationStats(place) {
+    // Places resolved from the dataset point straight at their row.
+    const record = place.id && getCityById(place.id);
+    if (record) {
+        return {
+            population: record.population,
+            area: record.area,
+            matchedOn: "city",
+            name: record.city
+        };
+    }
+
+    const searchValue = place.displayName.split(",")[0].trim();
+    console.log(`Searching location stats for: ${searchValue}`);
+
+    const match = findByName(searchValue);
+    if (!match) {
+        throw new HttpError(404, "No matching state, district, or city found");
+    }
+
+    const [row] = match.records;
+    return {
+        population: row.population,
+        area: row.area,
+        matchedOn: match.matchedOn,
+        name: row[match.matchedOn]
+    };
+}
+
+module.exports = { getLocationStats };
@@ -0,0 +1,113 @@
+const { allCities, cleanCityName, normalizeName } = require("./cityStore");
+const { SECTIONS, peekSection } = require("./sections");
+const { density, per100k } = require("./indicators");
+const { resolveScale } = require("./aqi");
+const { withScale } = require("./airQuality");
+const { HttpError } = require("../utils/errors");
+
+/*
+ * Rankable metrics and the order that puts the "best" city first. aqi and
+ * infrastructurePer100k come from the section cache, so they only exist for
+ * cities some earlier request already fetched; rankings never go upstream.
+ */
+const METRICS = {
+    population: { defaultOrder: "desc" },
+    area: { defaultOrder: "desc" },
+    density: { defaultOrder: "desc" },
+    aqi: { defaultOrder: "asc" },
+    infrastructurePer100k: { defaultOrder: "desc" }
+};
+
+const MAX_PAGE_SIZE = 100;
+
+// Hospitals, schools and colleges per 100,000 residents.
+function infrastructurePer100k(infrastructure, population) {
+    if (!infrastructure) return null;
+    return per100k(infrastructure.hospitals + infrastructure.schools + infrastructure.colleges, population);
+}
+
+async function cachedMetrics(record, scale) {
+    // Section cache keys are coordinates, which rows without them never had.
+    if (record.lat === null) return { aqi: null, infrastructurePer100k: null };
+
+    const place = { lat: record.lat, lon: record.lon };
+    const [airQuality, infrastructure] = await Promise.all([
+        peekSection(SECTIONS["air-quality"], place),
+        peekSection(SECTIONS.infrastructure, place)
+    ]);
+    return {
+        aqi: withScale(airQuality, scale)?.current?.aqi ?? null,
+        infrastructurePer100k: infrastructurePer100k(infrastructure, record.population)
+    };
+}
+
+function parseBound(value, name) {
+    if (value === undefined || String(value).trim() === "") return null;
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new HttpError(400, `${name} must be a number`);
+    return number;
+}
+
+/**
+ * Dataset cities ranked by `sort`, optionally limited to one state and to
+ * `min`..`max` of the sorted metric. Cities with no value for the metric
+ * are left out and counted in `missing`.
+ */
+async function getRankings({ sort = "population", order, state, min, max, page = 1, pageSize = 20, scale }) {
+    if (!Object.hasOwn(METRICS, sort)) {
+        throw new HttpError(400, `Unknown sort: ${sort}`, { sorts: Object.keys(METRICS) });
+    }
+    const metric = METRICS[sort];
+
+    const direction = order || metric.defaultOrder;
+    if (direction !== "asc" && direction !== "desc") {
+        throw new HttpError(400, "order must be asc or desc");
+    }
+
+    const aqiScale = resolveScale({ scale });
+    const lower = parseBound(min, "min");
+    const upper = parseBound(max, "max");
+    const size = Math.min(Math.max(Math.floor(Number(pageSize)) || 20, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(Math.floor(Number(page)) || 1, 1);
+
+    let records = allCities();
+    if (state) {
+        records = records.filter((r) => normalizeName(r.state) === normalizeName(state));
+        if (records.length === 0) throw new HttpError(404, `Unknown state: ${state}`);
+    }
+
+    const rows = await Promise.all(records.map(async (record) => ({
+        id: record.id,
+        name: cleanCityName(record.city),
+        district: record.district,
+        state: record.state,
+        population: record.population,
+        area: record.area,
+        density: density(record.population, record.area),
+        ...(await cachedMetrics(record, aqiScale))
+    })));
+
+    const ranked = rows.filter((row) => row[sort] !== null);
+    const inRange = ranked.filter((row) =>
+        (lower === null || row[sort] >= lower) && (upper === null || row[sort] <= upper)
+    );
+    const sign = direction === "asc" ? 1 : -1;
+    inRange.sort((a, b) => sign * (a[sort] - b[sort]) || b.population - a.population);
+
+    const offset = (pageNumber - 1) * size;
+    return {
+        // Every state in the dataset, so a client can build its filter from one call.
+        states: [...new Set(allCities().map((r) => r.state))].sort(),
+        sort,
+        order: direction,
+        scale: aqiScale,
+        state: state ? records[0].state : null,
+        page: pageNumber,
+        pageSize: size,
+        total: inRange.length,
+        missing: rows.length - ranked.length,
+        results: inRange.slice(offset, offset + size).map((row, i) => ({ rank: offset + i + 1, ...row }))
+    };
+}
+
+module.exports = { METRICS, getRankings };
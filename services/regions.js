@@ -0,0 +1,139 @@
+const { allCities, citiesInState, cleanCityName, normalizeName } = require("./cityStore");
+const { density } = require("./indicators");
+const { HttpError } = require("../utils/errors");
+
+const LARGEST_CITIES = 5;
+
+// People per km²; a city falls in the first bucket whose `max` it is under.
+const DENSITY_BUCKETS = [
+    { label: "< 1,000", max: 1000 },
+    { label: "1,000 – 5,000", max: 5000 },
+    { label: "5,000 – 10,000", max: 10000 },
+    { label: "10,000 – 20,000", max: 20000 },
+    { label: "20,000+", max: Infinity }
+];
+
+// Rows without a district are still counted, under one shared name.
+const NO_DISTRICT = "Unknown";
+
+function citySummary(record) {
+    return {
+        id: record.id,
+        name: cleanCityName(record.city),
+        district: record.district,
+        state: record.state,
+        population: record.population,
+        area: record.area,
+        density: density(record.population, record.area)
+    };
+}
+
+function densityDistribution(records) {
+    const counts = DENSITY_BUCKETS.map((bucket) => ({ label: bucket.label, cities: 0 }));
+    let unknown = 0;
+    for (const record of records) {
+        const cityDensity = density(record.population, record.area);
+        if (cityDensity === null) {
+            unknown++;
+            continue;
+        }
+        counts[DENSITY_BUCKETS.findIndex((bucket) => cityDensity < bucket.max)].cities++;
+    }
+    return { buckets: counts, unknown };
+}
+
+/**
+ * Totals for a group of dataset cities. Density is computed only over the
+ * cities that have an area, so rows with a missing area do not inflate it.
+ */
+function aggregate(records) {
+    let population = 0;
+    let area = 0;
+    let populationWithArea = 0;
+    for (const record of records) {
+        population += record.population;
+        if (record.area) {
+            area += record.area;
+            populationWithArea += record.population;
+        }
+    }
+
+    return {
+        population,
+        area: Math.round(area * 100) / 100,
+        density: area ? Math.round(populationWithArea / area) : null,
+        cityCount: records.length
+    };
+}
+
+function groupBy(records, keyOf) {
+    const groups = new Map();
+    for (const record of records) {
+        const key = keyOf(record);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+    }
+    return groups;
+}
+
+function largest(records) {
+    return [...records]
+        .sort((a, b) => b.population - a.population)
+        .slice(0, LARGEST_CITIES)
+        .map(citySummary);
+}
+
+function stateRecords(state) {
+    const records = citiesInState(state);
+    if (records.length === 0) throw new HttpError(404, `Unknown state: ${state}`);
+    return records;
+}
+
+// Every state with its totals, most populous first.
+function listStates() {
+    const states = [...groupBy(allCities(), (r) => r.state)].map(([name, records]) => ({
+        name,
+        ...aggregate(records),
+        districtCount: new Set(records.map((r) => r.district || NO_DISTRICT)).size
+    }));
+    return states.sort((a, b) => b.population - a.population);
+}
+
+// One state's totals, its districts and the shape of its cities.
+function getState(state) {
+    const records = stateRecords(state);
+    const districts = [...groupBy(records, (r) => r.district || NO_DISTRICT)].map(([name, group]) => ({
+        name,
+        ...aggregate(group)
+    }));
+
+    return {
+        name: records[0].state,
+        ...aggregate(records),
+        districtCount: districts.length,
+        largestCities: largest(records),
+        densityDistribution: densityDistribution(records),
+        districts: districts.sort((a, b) => b.population - a.population)
+    };
+}
+
+// One district's totals and every city in it.
+function getDistrict(state, district) {
+    const records = stateRecords(state).filter(
+        (r) => normalizeName(r.district || NO_DISTRICT) === normalizeName(district)
+    );
+    if (records.length === 0) {
+        throw new HttpError(404, `Unknown district: ${district}, ${state}`);
+    }
+
+    return {
+        name: records[0].district || NO_DISTRICT,
+        state: records[0].state,
+        ...aggregate(records),
+        largestCities: largest(records),
+        densityDistribution: densityDistribution(records),
+        cities: records.map(citySummary).sort((a, b) => b.population - a.population)
+    };
+}
+
+module.exports = { listStates, getState, getDistrict };
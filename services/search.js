@@ -0,0 +1,103 @@
+const { allCities, normalizeName, cleanCityName, labelFor } = require("./cityStore");
+
+// Field scores at or above this come from a literal match, below it from
+// edit distance.
+const DIRECT_MATCH = 50;
+
+const FIELDS = [
+    { name: "city", weight: 1 },
+    { name: "district", weight: 0.9 },
+    { name: "state", weight: 0.8 }
+];
+
+function levenshtein(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(
+                prev[j] + 1,
+                curr[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+}
+
+/**
+ * How well `query` matches one normalized field, 0-100. Exact beats prefix
+ * beats word-prefix beats substring; anything else is scored on edit
+ * distance to the whole value or to its first query.length characters, so
+ * half-typed and misspelled names ("visakapatnam") still rank.
+ */
+function scoreField(query, value) {
+    if (!value) return 0;
+    if (value === query) return 100;
+    if (value.startsWith(query)) return 80 + 10 * (query.length / value.length);
+    if (value.split(" ").some((word) => word.startsWith(query))) return 65;
+    if (value.includes(query)) return DIRECT_MATCH;
+
+    if (query.length < 4) return 0;
+    const maxEdits = Math.max(1, Math.floor(query.length / 3));
+    const distance = Math.min(
+        levenshtein(query, value),
+        levenshtein(query, value.slice(0, query.length))
+    );
+    return distance <= maxEdits ? 40 - 10 * distance : 0;
+}
+
+/**
+ * Ranked dataset cities for a typeahead query. Cities whose own name
+ * matches come first; district and state matches fill in behind them,
+ * larger cities first on equal score. Fuzzy hits are only offered when
+ * nothing matches literally. Each suggestion carries its district and state
+ * so same-named places can be told apart.
+ */
+function searchCities(query, limit = 8) {
+    const q = normalizeName(query);
+    if (!q) return [];
+
+    const best = new Map();
+    for (const record of allCities()) {
+        let score = 0;
+        let matchedOn = null;
+        let direct = false;
+        for (const field of FIELDS) {
+            const raw = scoreField(q, normalizeName(record[field.name]));
+            if (raw * field.weight > score) {
+                score = raw * field.weight;
+                matchedOn = field.name;
+                direct = raw >= DIRECT_MATCH;
+            }
+        }
+        if (score === 0) continue;
+
+        // The dataset lists some cities once per ward (e.g. GHMC); keep one.
+        const key = `${record.city}|${record.district}|${record.state}`;
+        const seen = best.get(key);
+        if (!seen || seen.population < record.population) {
+            best.set(key, { record, score, matchedOn, direct, population: record.population });
+        }
+    }
+
+    const candidates = [...best.values()];
+    const direct = candidates.filter((c) => c.direct);
+
+    return (direct.length > 0 ? direct : candidates)
+        .sort((a, b) => b.score - a.score || b.population - a.population)
+        .slice(0, limit)
+        .map(({ record, score, matchedOn }) => ({
+            id: record.id,
+            name: cleanCityName(record.city),
+            city: record.city,
+            district: record.district,
+            state: record.state,
+            label: labelFor(record),
+            matchedOn,
+            score: Math.round(score)
+        }));
+}
+
+module.exports = { levenshtein, searchCities };
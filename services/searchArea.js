@@ -0,0 +1,77 @@
+const { getCityById } = require("./cityStore");
+const { getBoundary } = require("./boundary");
+const { HttpError } = require("../utils/errors");
+
+/* -----------------------------
+   OVERPASS SEARCH AREA
+----------------------------- */
+const DEFAULT_RADIUS_KM = 12;
+const MIN_RADIUS_KM = 1;
+const MAX_RADIUS_KM = 50;
+// Smallest radius derived from an area, so tiny towns still reach their edges.
+const MIN_DERIVED_RADIUS_KM = 3;
+
+// Validates ?radius= in km. Null means "search the city's boundary".
+function resolveRadius({ radius } = {}) {
+    if (radius === undefined || String(radius).trim() === "") return null;
+    const km = Number(radius);
+    if (!Number.isFinite(km) || km < MIN_RADIUS_KM || km > MAX_RADIUS_KM) {
+        throw new HttpError(400, `radius must be between ${MIN_RADIUS_KM} and ${MAX_RADIUS_KM} km`);
+    }
+    return km;
+}
+
+/**
+ * How far around a place to search, as `{ km, source }`. A requested radius
+ * wins. Otherwise a dataset city gets the radius of a circle as large as its
+ * CSV Area, and any other place the old fixed 12 km.
+ */
+function searchRadius(place, requestedKm) {
+    if (requestedKm) return { km: requestedKm, source: "request" };
+
+    const area = place.id ? getCityById(place.id)?.area : null;
+    if (area) {
+        const km = Math.sqrt(area / Math.PI);
+        return {
+            km: Math.round(Math.min(Math.max(km, MIN_DERIVED_RADIUS_KM), MAX_RADIUS_KM) * 10) / 10,
+            source: "area"
+        };
+    }
+    return { km: DEFAULT_RADIUS_KM, source: "default" };
+}
+
+/**
+ * Where a place's Overpass queries run, as `{ prelude, filter, area }`:
+ * `prelude` goes before the query's union, `filter` after each statement's
+ * tag filters, and `area` describes the search for the response.
+ *
+ * Without a requested radius the search covers the place's administrative
+ * boundary, so counts match the municipal area the CSV Area refers to. A
+ * place without a boundary, or whose lookup fails, gets the circle
+ * searchRadius derives instead.
+ */
+async function resolveSearchArea(place, requestedKm, signal) {
+    if (!requestedKm) {
+        const boundary = await getBoundary(place, signal).catch((err) => {
+            if (signal?.aborted) throw err;
+            console.warn(`Boundary lookup failed for ${place.name}: ${err.message}`);
+            return null;
+        });
+        if (boundary) {
+            return {
+                prelude: `area(id:${boundary.areaId})->.searchArea;`,
+                filter: "(area.searchArea)",
+                area: { type: "boundary", osmId: boundary.osmId, name: boundary.name, areaKm2: boundary.areaKm2 }
+            };
+        }
+    }
+
+    const radius = searchRadius(place, requestedKm);
+    return {
+        prelude: "",
+        filter: `(around:${Math.round(radius.km * 1000)},${place.lat},${place.lon})`,
+        area: { type: "radius", radiusKm: radius.km, source: radius.source }
+    };
+}
+
+module.exports = { resolveRadius, resolveSearchArea };
@@ -0,0 +1,183 @@
+const { getWeather } = require("./weather");
+const { getLocationStats } = require("./locationStats");
+const { getAQISection, withScale } = require("./airQuality");
+const { resolveScale } = require("./aqi");
+const { resolveCategories, getInfrastructure } = require("./infrastructure");
+const { getWaterBodies } = require("./water");
+const { getBoundary } = require("./boundary");
+const { resolveRadius } = require("./searchArea");
+const { getWikipediaSummary } = require("./wikipedia");
+const { findByName } = require("./cityStore");
+const { MINUTE, DAY, cached, peek } = require("../cache");
+const { forCity } = require("../upstream");
+const { TimeoutError, withTimeout } = require("../utils/timeout");
+
+/*
+ * Every section of a city profile, keyed by the path segment it is served
+ * under (/api/cities/:id/<section>). `key` is the field the section fills in
+ * the aggregate /api response and `source` names the upstream reported when
+ * it fails. `timeout` is the section's own budget in ms and `ttl` how long a
+ * result stays cached (0 = never). `load` receives the place from
+ * resolveCity, an AbortSignal that fires when the budget runs out and the
+ * section's options.
+ * Optional `options` validates the section's query parameters. Options that
+ * change what is fetched get their own cache entry through `variant`, which
+ * names them ("" for the defaults); `present` applies the rest to the cached
+ * value before it is served.
+ */
+// Wikipedia titles shared by several dataset cities carry the state
+// ("Aurangabad, Bihar"); a bare name would land on the better-known one.
+function wikipediaTitle(place) {
+    const states = new Set((findByName(place.name)?.records || []).map((r) => r.state));
+    return states.size > 1 && place.state ? `${place.name}, ${place.state}` : place.name;
+}
+
+const SECTIONS = {
+    weather: {
+        key: "weather",
+        source: "Open-Meteo",
+        timeout: 6000,
+        ttl: 15 * MINUTE,
+        load: (place, signal) => getWeather(place.lat, place.lon, signal)
+    },
+    stats: {
+        key: "stats",
+        source: "final_cities.csv",
+        timeout: 3000,
+        ttl: 0,
+        load: (place) => getLocationStats(place)
+    },
+    "air-quality": {
+        key: "airQuality",
+        source: "WAQI / Open-Meteo",
+        timeout: 6000,
+        ttl: 15 * MINUTE,
+        load: (place, signal) => getAQISection(place.lat, place.lon, signal),
+        options: (query) => resolveScale(query),
+        present: (value, scale) => withScale(value, scale)
+    },
+    infrastructure: {
+        key: "infrastructure",
+        source: "OpenStreetMap (Overpass)",
+        timeout: 10000,
+        ttl: 7 * DAY,
+        load: (place, signal, options) => getInfrastructure(place, options, signal),
+        options: (query) => ({ radiusKm: resolveRadius(query), categories: resolveCategories(query) }),
+        variant: ({ radiusKm, categories } = {}) => [
+            radiusKm ? `r${radiusKm}` : "",
+            categories ? [...categories].sort().join("+") : ""
+        ].filter(Boolean).join(":")
+    },
+    water: {
+        key: "waterBodies",
+        source: "OpenStreetMap (Overpass)",
+        timeout: 10000,
+        ttl: 7 * DAY,
+        load: (place, signal, options) => getWaterBodies(place, options, signal),
+        options: (query) => ({ radiusKm: resolveRadius(query) }),
+        variant: ({ radiusKm } = {}) => (radiusKm ? `r${radiusKm}` : "")
+    },
+    // getBoundary caches the outline itself, shared with the Overpass
+    // sections that search inside it; the same timeout keeps this section
+    // from cutting their shared lookup short.
+    boundary: {
+        key: "boundary",
+        source: "OpenStreetMap (Nominatim)",
+        timeout: 10000,
+        ttl: 0,
+        load: (place, signal) => getBoundary(place, signal)
+    },
+    summary: {
+        key: "wikipedia",
+        source: "Wikipedia",
+        timeout: 5000,
+        ttl: 7 * DAY,
+        load: (place, signal) => getWikipediaSummary(wikipediaTitle(place), signal)
+    }
+};
+
+// Cache entries are keyed by the resolved coordinates, so "Bombay" and
+// "Mumbai" share one entry once Nominatim maps them to the same point.
+function sectionCacheKey(section, place, options) {
+    const key = `${section.key}:${place.lat.toFixed(4)},${place.lon.toFixed(4)}`;
+    const variant = section.variant ? section.variant(options) : "";
+    return variant ? `${key}:${variant}` : key;
+}
+
+// Validated options of each named section that takes any, keyed by name.
+// Throws the section's HttpError for a bad parameter.
+function resolveSectionOptions(names, query) {
+    return Object.fromEntries(names
+        .filter((name) => SECTIONS[name].options)
+        .map((name) => [name, SECTIONS[name].options(query)]));
+}
+
+// Anything that finishes after its signal fired is dropped rather than
+// cached, since it may be a half-aborted result.
+function loadSection(section, place, signal, options) {
+    return cached(sectionCacheKey(section, place, options), section.ttl, async () => {
+        const value = await forCity(place.id ?? place.name, () => section.load(place, signal, options));
+        signal?.throwIfAborted();
+        return value;
+    });
+}
+
+// A section's cached value for the place with default options, or undefined
+// if nobody fetched it yet.
+function peekSection(section, place) {
+    return peek(sectionCacheKey(section, place));
+}
+
+/**
+ * Loads the named sections for one place side by side, each capped by its
+ * own timeout and by `budgetMs`. A failing or slow source only blanks its own
+ * section. `options` holds resolveSectionOptions' result; sections missing
+ * from it load with their defaults. Returns `{ data, status, errors,
+ * cacheStatus }`, all keyed by section key.
+ */
+async function loadSections(place, names, budgetMs, options = {}) {
+    const data = {};
+    const status = {};
+    const errors = {};
+    const cacheStatus = {};
+
+    await Promise.all(names.map(async (name) => {
+        const section = SECTIONS[name];
+        try {
+            const { value, status: cache } = await withTimeout(
+                (signal) => loadSection(section, place, signal, options[name]),
+                Math.min(section.timeout, budgetMs),
+                section.source
+            );
+            data[section.key] = value;
+            status[section.key] = "ok";
+            cacheStatus[section.key] = cache;
+            console.log(`${name} data fetched (cache ${cache})`);
+        } catch (err) {
+            console.error(`${name} failed: ${err.message}`);
+            data[section.key] = null;
+            status[section.key] = err instanceof TimeoutError ? "timeout" : "error";
+            errors[section.key] = { source: section.source, message: err.message };
+        }
+    }));
+
+    return { data, status, errors, cacheStatus };
+}
+
+// HIT when every cacheable section came from cache, MISS when none did.
+function summarizeCacheStatus(statuses) {
+    const cacheable = statuses.filter((s) => s !== "BYPASS");
+    if (cacheable.length === 0) return "BYPASS";
+    if (cacheable.every((s) => s === "HIT")) return "HIT";
+    if (cacheable.every((s) => s === "MISS")) return "MISS";
+    return "PARTIAL";
+}
+
+module.exports = {
+    SECTIONS,
+    resolveSectionOptions,
+    loadSection,
+    loadSections,
+    peekSection,
+    summarizeCacheStatus
+};
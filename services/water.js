@@ -0,0 +1,272 @@
+const { fetchOverpass } = require("../utils/fetch");
+const { haversineKm, toRadians, polygonsOf, pointInGeometry, geometryAreaKm2 } = require("../utils/geo");
+const { resolveSearchArea } = require("./searchArea");
+
+/* -----------------------------
+   WATER BODIES
+----------------------------- */
+// Watercourses are measured by length, standing water by area.
+const LINE_CLASSES = ["rivers", "canals", "streams"];
+const AREA_CLASSES = ["lakes", "reservoirs", "ponds"];
+const CLASSES = [...LINE_CLASSES, ...AREA_CLASSES];
+
+const WATERWAY_CLASSES = { river: "rivers", canal: "canals", stream: "streams", brook: "streams" };
+const WATER_CLASSES = {
+    lake: "lakes",
+    oxbow: "lakes",
+    lagoon: "lakes",
+    reservoir: "reservoirs",
+    basin: "reservoirs",
+    pond: "ponds",
+    fishpond: "ponds"
+};
+// `water=` values outlining a watercourse, which its waterway line already counts.
+const WATERCOURSE_OUTLINES = "river|canal|stream|ditch|drain";
+// Standing water without a `water=` tag is a lake from this size up, else a pond.
+const LAKE_MIN_KM2 = 0.1;
+
+/*
+ * The class of a water feature, or null for features left out: drains,
+ * ditches, dams and the like, and the outlines of rivers and canals.
+ */
+function classify(tags, geometry) {
+    if (tags.waterway) return WATERWAY_CLASSES[tags.waterway] ?? null;
+    const water = tags.water ?? (tags.landuse === "reservoir" ? "reservoir" : null);
+    if (water) return WATER_CLASSES[water] ?? null;
+    if (!geometry) return null;
+    return geometryAreaKm2(geometry) >= LAKE_MIN_KM2 ? "lakes" : "ponds";
+}
+
+// [lon, lat] rounded to about a metre, which keeps the response small.
+function position({ lat, lon }) {
+    return [Math.round(lon * 1e5) / 1e5, Math.round(lat * 1e5) / 1e5];
+}
+
+function sameCoordinate(a, b) {
+    return a[0] === b[0] && a[1] === b[1];
+}
+
+/*
+ * Joins a multipolygon's member ways end to end into closed rings. Ways
+ * may run in either direction; pieces that never close are dropped.
+ */
+function assembleRings(lines) {
+    const rings = [];
+    const open = lines.map((line) => [...line]);
+    while (open.length > 0) {
+        const ring = open.shift();
+        let extended = true;
+        while (!sameCoordinate(ring[0], ring[ring.length - 1]) && extended) {
+            extended = false;
+            const end = ring[ring.length - 1];
+            const next = open.findIndex((line) => sameCoordinate(line[0], end) || sameCoordinate(line[line.length - 1], end));
+            if (next === -1) break;
+            const [line] = open.splice(next, 1);
+            ring.push(...(sameCoordinate(line[0], end) ? line : line.reverse()).slice(1));
+            extended = true;
+        }
+        if (ring.length >= 4 && sameCoordinate(ring[0], ring[ring.length - 1])) rings.push(ring);
+    }
+    return rings;
+}
+
+/*
+ * GeoJSON geometry of an element from `out geom`: a LineString for a
+ * watercourse, a Polygon for a closed way of standing water and a
+ * MultiPolygon for a multipolygon relation, each inner ring going to the
+ * outer ring around it. Null when the geometry is unusable.
+ */
+function toGeometry(el, linear) {
+    if (el.type === "way") {
+        const coordinates = (el.geometry || []).map(position);
+        if (coordinates.length < 2) return null;
+        if (linear) return { type: "LineString", coordinates };
+        return coordinates.length >= 4 && sameCoordinate(coordinates[0], coordinates[coordinates.length - 1])
+            ? { type: "Polygon", coordinates: [coordinates] }
+            : null;
+    }
+
+    if (linear) return null;
+    const ringsOf = (role) => assembleRings((el.members || [])
+        .filter((m) => m.type === "way" && m.role === role && m.geometry)
+        .map((m) => m.geometry.map(position)));
+    const polygons = ringsOf("outer").map((outer) => [outer]);
+    if (polygons.length === 0) return null;
+    for (const inner of ringsOf("inner")) {
+        const [lon, lat] = inner[0];
+        polygons.find(([outer]) => pointInGeometry(lat, lon, { type: "Polygon", coordinates: [outer] }))?.push(inner);
+    }
+    return { type: "MultiPolygon", coordinates: polygons };
+}
+
+function lineLengthKm(coordinates) {
+    let km = 0;
+    for (let i = 1; i < coordinates.length; i++) {
+        km += haversineKm(coordinates[i - 1][1], coordinates[i - 1][0], coordinates[i][1], coordinates[i][0]);
+    }
+    return km;
+}
+
+// Pieces of one named water body merged into a single geometry.
+function mergeGeometries(geometries, linear) {
+    if (linear) {
+        return { type: "MultiLineString", coordinates: geometries.map((g) => g.coordinates) };
+    }
+    return {
+        type: "MultiPolygon",
+        coordinates: geometries.flatMap((g) => (g.type === "Polygon" ? [g.coordinates] : g.coordinates))
+    };
+}
+
+// Pieces of one water body are at most this far apart: watercourse ends
+// that meet or nearly meet, or outlines that touch.
+const JOIN_METRES = 250;
+
+// Ends of a watercourse piece, where the next piece of it would start.
+function endsOf(geometry) {
+    const { coordinates } = geometry;
+    return [coordinates[0], coordinates[coordinates.length - 1]];
+}
+
+// [minLon, minLat, maxLon, maxLat] of a standing water piece.
+function boundsOf(geometry) {
+    const points = polygonsOf(geometry).flat(2);
+    const lons = points.map(([lon]) => lon);
+    const lats = points.map(([, lat]) => lat);
+    return [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)];
+}
+
+function metresBetween([lon1, lat1], [lon2, lat2]) {
+    return haversineKm(lat1, lon1, lat2, lon2) * 1000;
+}
+
+// Gap between two bounding boxes, 0 when they overlap.
+function boundsGapMetres(a, b) {
+    const dLon = Math.max(0, a[0] - b[2], b[0] - a[2]);
+    const dLat = Math.max(0, a[1] - b[3], b[1] - a[3]);
+    const lat = (a[1] + a[3]) / 2;
+    return Math.hypot(dLon * Math.cos(toRadians(lat)), dLat) * 111320;
+}
+
+/*
+ * Splits the same-named pieces of one class into water bodies. Two pieces
+ * belong together when they are within JOIN_METRES: a watercourse's ends
+ * meet, or standing water outlines touch. Any chain of such pieces is one
+ * body, so two ponds both called "Talab" across town stay two.
+ */
+function groupBodies(pieces, linear) {
+    const reach = pieces.map((piece) => (linear ? endsOf(piece.geometry) : boundsOf(piece.geometry)));
+    const near = (i, j) => (linear
+        ? reach[i].some((end) => reach[j].some((other) => metresBetween(end, other) <= JOIN_METRES))
+        : boundsGapMetres(reach[i], reach[j]) <= JOIN_METRES);
+
+    const bodies = [];
+    const assigned = new Array(pieces.length).fill(false);
+    for (let start = 0; start < pieces.length; start++) {
+        if (assigned[start]) continue;
+        assigned[start] = true;
+        const members = [start];
+        for (let k = 0; k < members.length; k++) {
+            for (let j = 0; j < pieces.length; j++) {
+                if (!assigned[j] && near(members[k], j)) {
+                    assigned[j] = true;
+                    members.push(j);
+                }
+            }
+        }
+        bodies.push(members.map((i) => pieces[i]));
+    }
+    return bodies;
+}
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Water features in the area resolveSearchArea picks (a circle of
+ * `radiusKm` when given), classified into rivers, canals, streams, lakes,
+ * reservoirs and ponds. Each class has the count and names of its named
+ * water bodies plus their total `lengthKm` (watercourses) or `areaKm2`
+ * (standing water); `unnamed` counts the rest per class. `geojson` has one
+ * feature per named water body, its OSM pieces merged as groupBodies finds
+ * them. Named pieces without usable geometry cannot be placed and are left
+ * out.
+ */
+async function getWaterBodies(place, { radiusKm } = {}, signal) {
+    const searchArea = await resolveSearchArea(place, radiusKm, signal);
+    const standingWater = `["water"!~"^(${WATERCOURSE_OUTLINES})$"]${searchArea.filter}`;
+    const waterQuery = `
+[out:json][timeout:25];
+${searchArea.prelude}
+(
+  way["waterway"~"^(${Object.keys(WATERWAY_CLASSES).join("|")})$"]${searchArea.filter};
+  way["natural"="water"]${standingWater};
+  relation["natural"="water"]${standingWater};
+  way["landuse"="reservoir"]${standingWater};
+  relation["landuse"="reservoir"]${standingWater};
+);
+out geom;
+`;
+
+    const waterData = await fetchOverpass(waterQuery, signal);
+
+    const named = Object.fromEntries(CLASSES.map((waterClass) => [waterClass, new Map()]));
+    const unnamed = Object.fromEntries(CLASSES.map((waterClass) => [waterClass, 0]));
+
+    waterData.elements.forEach(el => {
+        const t = el.tags || {};
+        const linear = Boolean(t.waterway);
+        const geometry = toGeometry(el, linear);
+        const waterClass = classify(t, geometry);
+        if (!waterClass) return;
+
+        if (!t.name) {
+            unnamed[waterClass]++;
+            return;
+        }
+        if (!geometry) return;
+        if (!named[waterClass].has(t.name)) named[waterClass].set(t.name, []);
+        named[waterClass].get(t.name).push({ id: `${el.type}/${el.id}`, geometry });
+    });
+
+    const features = [];
+    const summary = Object.fromEntries(CLASSES.map((waterClass) => {
+        const linear = LINE_CLASSES.includes(waterClass);
+        let total = 0;
+        let count = 0;
+        for (const [name, body] of [...named[waterClass]].flatMap(([name, pieces]) =>
+            groupBodies(pieces, linear).map((body) => [name, body]))) {
+            count++;
+            const ids = body.map((piece) => piece.id);
+            const geometry = mergeGeometries(body.map((piece) => piece.geometry), linear);
+            const size = linear
+                ? geometry.coordinates.reduce((km, line) => km + lineLengthKm(line), 0)
+                : geometryAreaKm2(geometry);
+            total += size;
+            features.push({
+                type: "Feature",
+                id: ids[0],
+                geometry,
+                properties: {
+                    class: waterClass,
+                    name,
+                    osmIds: ids,
+                    ...(linear ? { lengthKm: round1(size) } : { areaKm2: Math.round(size * 1000) / 1000 })
+                }
+            });
+        }
+        return [waterClass, {
+            count,
+            names: [...named[waterClass].keys()],
+            ...(linear ? { lengthKm: round1(total) } : { areaKm2: Math.round(total * 1000) / 1000 })
+        }];
+    }));
+
+    return {
+        searchArea: searchArea.area,
+        ...summary,
+        unnamed,
+        geojson: { type: "FeatureCollection", features }
+    };
+}
+
+module.exports = { CLASSES, getWaterBodies };
@@ -0,0 +1,34 @@
+const { safeFetch } = require("../utils/fetch");
+
+/* -----------------------------
+   WEATHER (OPEN-METEO)
+----------------------------- */
+const DAILY_VARIABLES = [
+    "temperature_2m_max",
+    "temperature_2m_min",
+    "apparent_temperature_max",
+    "precipitation_sum",
+    "precipitation_probability_max",
+    "uv_index_max"
+].join(",");
+
+const HOURLY_VARIABLES = [
+    "temperature_2m",
+    "apparent_temperature",
+    "relative_humidity_2m",
+    "wind_speed_10m",
+    "wind_direction_10m",
+    "uv_index",
+    "precipitation_probability",
+    "weather_code",
+    "is_day"
+].join(",");
+
+// Hourly values cover the same 7 days as the daily forecast; times are local
+// to the city (timezone=auto), like current_weather.time.
+async function getWeather(lat, lon, signal) {
+    const weatherURL = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current_weather=true&daily=${DAILY_VARIABLES}&hourly=${HOURLY_VARIABLES}&timezone=auto`;
+    return safeFetch(weatherURL, { signal });
+}
+
+module.exports = { getWeather };
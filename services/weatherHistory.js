@@ -0,0 +1,160 @@
+const { safeFetch } = require("../utils/fetch");
+const { HttpError } = require("../utils/errors");
+const { HOUR, DAY, cached } = require("../cache");
+
+/* -----------------------------
+   WEATHER HISTORY (OPEN-METEO ARCHIVE)
+----------------------------- */
+const ARCHIVE_URL = "https://archive-api.open-meteo.com/v1/archive";
+const DAILY_VARIABLES = "temperature_2m_max,temperature_2m_min,temperature_2m_mean,precipitation_sum";
+
+// The archive starts in 1940 and trails real time by about five days.
+const ARCHIVE_START = "1940-01-01";
+const ARCHIVE_LAG_DAYS = 5;
+const MAX_RANGE_DAYS = 10 * 366;
+const DEFAULT_RANGE_DAYS = 365;
+
+// WMO reference period used for climate normals.
+const NORMALS_FROM = "1991-01-01";
+const NORMALS_TO = "2020-12-31";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / DAY);
+}
+
+function parseDate(value, name) {
+    // Date.parse rolls days past a month's end over ("2024-02-30" is
+    // March 1st), so the date must survive the round trip unchanged.
+    if (!ISO_DATE.test(value) || Number.isNaN(Date.parse(value)) || isoDate(new Date(value)) !== value) {
+        throw new HttpError(400, `${name} must be a date as YYYY-MM-DD`);
+    }
+    return value;
+}
+
+/**
+ * Validates ?from=&to= and fills in defaults: `to` is the latest archived
+ * day and `from` a year before it. `rolling` marks the all-default range,
+ * which moves with today's date.
+ */
+function resolveRange({ from, to } = {}) {
+    const latest = isoDate(new Date(Date.now() - ARCHIVE_LAG_DAYS * DAY));
+    const end = to ? parseDate(to, "to") : latest;
+    const start = from
+        ? parseDate(from, "from")
+        : isoDate(new Date(Date.parse(end) - DEFAULT_RANGE_DAYS * DAY));
+
+    if (start > end) throw new HttpError(400, "from must not be after to");
+    if (start < ARCHIVE_START) throw new HttpError(400, `History starts at ${ARCHIVE_START}`);
+    if (end > latest) throw new HttpError(400, `History is only available up to ${latest}`);
+    if (daysBetween(start, end) > MAX_RANGE_DAYS) {
+        throw new HttpError(400, `Range must be at most ${MAX_RANGE_DAYS} days`);
+    }
+    return { from: start, to: end, rolling: !from && !to };
+}
+
+async function fetchArchive(lat, lon, { from, to, rolling = false }, signal) {
+    const url = `${ARCHIVE_URL}?latitude=${lat}&longitude=${lon}&start_date=${from}&end_date=${to}&daily=${DAILY_VARIABLES}&timezone=auto`;
+    const data = await safeFetch(url, { signal, rollingDates: rolling });
+    return data.daily.time.map((date, i) => ({
+        date,
+        max: data.daily.temperature_2m_max[i],
+        min: data.daily.temperature_2m_min[i],
+        mean: data.daily.temperature_2m_mean[i],
+        precipitation: data.daily.precipitation_sum[i]
+    }));
+}
+
+function average(values) {
+    const present = values.filter((v) => v !== null && v !== undefined);
+    if (present.length === 0) return null;
+    return Math.round((present.reduce((sum, v) => sum + v, 0) / present.length) * 10) / 10;
+}
+
+function total(values) {
+    const present = values.filter((v) => v !== null && v !== undefined);
+    if (present.length === 0) return null;
+    return Math.round(present.reduce((sum, v) => sum + v, 0) * 10) / 10;
+}
+
+// Averages of the daily temperatures plus total rainfall and extremes.
+function rollup(days) {
+    const maxes = days.map((d) => d.max).filter((v) => v !== null);
+    const mins = days.map((d) => d.min).filter((v) => v !== null);
+    return {
+        days: days.length,
+        max: average(days.map((d) => d.max)),
+        min: average(days.map((d) => d.min)),
+        mean: average(days.map((d) => d.mean)),
+        precipitation: total(days.map((d) => d.precipitation)),
+        hottest: maxes.length ? Math.max(...maxes) : null,
+        coldest: mins.length ? Math.min(...mins) : null
+    };
+}
+
+function rollupBy(days, keyOf, field) {
+    const groups = new Map();
+    for (const day of days) {
+        const key = keyOf(day.date);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(day);
+    }
+    return [...groups].map(([key, group]) => ({ [field]: key, ...rollup(group) }));
+}
+
+/**
+ * Daily history for `from`..`to` with monthly ("2024-06") and yearly
+ * rollups. Ranges that end before the archive lag are final, so they are
+ * cached far longer than ones still being filled in.
+ */
+async function getWeatherHistory(lat, lon, { from, to, rolling }, signal) {
+    const settled = daysBetween(to, isoDate(new Date())) > 2 * ARCHIVE_LAG_DAYS;
+    const key = `weatherHistory:${lat.toFixed(4)},${lon.toFixed(4)}:${from}:${to}`;
+
+    const { value } = await cached(key, settled ? 30 * DAY : 6 * HOUR, async () => {
+        const daily = await fetchArchive(lat, lon, { from, to, rolling }, signal);
+        signal?.throwIfAborted();
+        return daily;
+    });
+
+    return {
+        from,
+        to,
+        daily: value,
+        monthly: rollupBy(value, (date) => date.slice(0, 7), "month"),
+        yearly: rollupBy(value, (date) => date.slice(0, 4), "year")
+    };
+}
+
+/**
+ * 1991-2020 climate normals per calendar month (1-12): average daily max,
+ * min and mean temperature, and average monthly rainfall total.
+ */
+async function getClimateNormals(lat, lon, signal) {
+    const key = `climateNormals:${lat.toFixed(4)},${lon.toFixed(4)}`;
+    const { value } = await cached(key, 90 * DAY, async () => {
+        const daily = await fetchArchive(lat, lon, { from: NORMALS_FROM, to: NORMALS_TO }, signal);
+        signal?.throwIfAborted();
+
+        const years = Number(NORMALS_TO.slice(0, 4)) - Number(NORMALS_FROM.slice(0, 4)) + 1;
+        return rollupBy(daily, (date) => Number(date.slice(5, 7)), "month")
+            .sort((a, b) => a.month - b.month)
+            .map((month) => ({
+                month: month.month,
+                max: month.max,
+                min: month.min,
+                mean: month.mean,
+                precipitation: month.precipitation === null
+                    ? null
+                    : Math.round((month.precipitation / years) * 10) / 10
+            }));
+    });
+    return { period: `${NORMALS_FROM.slice(0, 4)}-${NORMALS_TO.slice(0, 4)}`, months: value };
+}
+
+module.exports = { resolveRange, getWeatherHistory, getClimateNormals };
@@ -0,0 +1,13 @@
+const { safeFetch } = require("../utils/fetch");
+
+/* -----------------------------
+   WIKIPEDIA
+----------------------------- */
+async function getWikipediaSummary(title, signal) {
+    const wikiURL = `https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(
+        title
+    )}`;
+    return safeFetch(wikiURL, { signal });
+}
+
+module.exports = { getWikipediaSummary };
@@ -0,0 +1,107 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("node:child_process");
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+
+/*
+ * Boots the server against the committed fixtures (UPSTREAM_MODE=fixtures,
+ * so nothing reaches the network) and checks that a recorded city's
+ * responses are served in full. Re-record the fixtures when an upstream
+ * request changes and this fails with "No fixture for ...".
+ */
+const CITY = "delhi-delhi-delhi";
+const ROOT = path.join(__dirname, "..");
+
+let server;
+let baseUrl;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+        probe.on("error", reject);
+    });
+}
+
+before(async () => {
+    const port = await freePort();
+    baseUrl = `http://localhost:${port}`;
+    server = spawn(process.execPath, ["server.js"], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            UPSTREAM_MODE: "fixtures",
+            FIXTURES_DIR: path.join(ROOT, "fixtures"),
+            CACHE_STORE: "memory",
+            ALERTS_INTERVAL_MS: "0",
+            ALERTS_FILE: path.join(os.tmpdir(), `alerts-${process.pid}.json`)
+        },
+        stdio: ["ignore", "pipe", "inherit"]
+    });
+
+    await new Promise((resolve, reject) => {
+        server.on("exit", (code) => reject(new Error(`Server exited with code ${code}`)));
+        server.stdout.on("data", (chunk) => {
+            if (chunk.toString().includes("Server running")) resolve();
+        });
+    });
+});
+
+after(() => {
+    server?.kill();
+});
+
+async function get(pathname) {
+    const res = await fetch(`${baseUrl}${pathname}`);
+    return { status: res.status, body: await res.json() };
+}
+
+test("serves every section of a recorded city", async () => {
+    const { status, body } = await get(`/api?id=${CITY}`);
+    assert.equal(status, 200);
+    for (const [section, sectionStatus] of Object.entries(body.status)) {
+        assert.equal(sectionStatus, "ok", `${section}: ${body.errors[section]?.message}`);
+    }
+    assert.deepEqual(body.errors, {});
+    assert.equal(body.boundary.osmId, "relation/1942586");
+    assert.equal(body.infrastructure.searchArea.type, "boundary");
+    assert.ok(body.waterBodies.rivers.count > 0);
+});
+
+test("replays the default weather history range", async () => {
+    const { status, body } = await get(`/api/cities/${CITY}/weather/history`);
+    assert.equal(status, 200);
+    assert.ok(body.history.daily.length > 300);
+});
+
+test("replays weather history for the range it was recorded for", async () => {
+    const { status, body } = await get(`/api/cities/${CITY}/weather/history?from=2024-01-01&to=2024-01-31`);
+    assert.equal(status, 200);
+    const dates = body.history.daily.map((day) => day.date);
+    assert.equal(dates[0], "2024-01-01");
+    assert.equal(dates.at(-1), "2024-01-31");
+    assert.equal(dates.length, 31);
+});
+
+test("does not replay weather history for another range", async () => {
+    const { status, body } = await get(`/api/cities/${CITY}/weather/history?from=2020-01-01&to=2020-12-31`);
+    assert.equal(status, 500);
+    assert.match(body.error, /No fixture/);
+});
+
+test("replays the air quality history", async () => {
+    const { status, body } = await get(`/api/cities/${CITY}/air-quality/history?days=7`);
+    assert.equal(status, 200);
+    assert.equal(body.history.days, 7);
+});
+
+test("reports a city without fixtures as an upstream failure", async () => {
+    const { status, body } = await get("/api/cities/jammu-kashmir-srinagar-srinagar/weather");
+    assert.equal(status, 500);
+    assert.match(body.error, /No fixture/);
+});
@@ -0,0 +1,42 @@
+const { fixturePath, indexFixtures, readFixture } = require("./fixtureFiles");
+
+/**
+ * Replays recorded responses from `dir` and never touches the network. A
+ * request without a fixture fails like an unreachable upstream, so the
+ * section it belongs to is reported as errored rather than the whole
+ * response.
+ *
+ * Fixtures are found by request hash whichever city directory holds them,
+ * falling back for a rolling date range to a recording of it made on
+ * another day (see fixturePath). The directory is indexed on first use and again on a miss,
+ * so fixtures recorded while the server runs are picked up.
+ */
+function createFixtureAdapter(dir) {
+    let index = null;
+
+    async function find({ hash, undatedHash }) {
+        if (!index?.exact.has(hash)) index = await indexFixtures(dir);
+        return index.exact.get(hash) ?? (undatedHash && index.undated.get(undatedHash));
+    }
+
+    return {
+        mode: "fixtures",
+        async fetch(url, options = {}) {
+            options.signal?.throwIfAborted();
+            const { hash, undatedHash, request } = fixturePath(dir, url, options);
+            const file = await find({ hash, undatedHash });
+            const fixture = file && await readFixture(file);
+            if (!fixture) {
+                throw new Error(`No fixture for ${request.method} ${request.url} (record it with UPSTREAM_MODE=record)`);
+            }
+
+            const { status, contentType, body } = fixture.response;
+            return new Response(typeof body === "string" ? body : JSON.stringify(body), {
+                status,
+                headers: { "Content-Type": contentType }
+            });
+        }
+    };
+}
+
+module.exports = { createFixtureAdapter };
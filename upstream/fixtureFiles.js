@@ -0,0 +1,96 @@
+const fsp = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+// Query parameters that carry credentials: left out of fixture keys and
+// never written to disk.
+const SECRET_PARAMS = ["token", "key", "apikey", "api_key"];
+// Query parameters for a date range; see fixturePath.
+const DATE_PARAMS = ["start_date", "end_date"];
+// Fixtures not made for a particular city.
+const SHARED_DIR = "_shared";
+
+function redactUrl(url) {
+    const parsed = new URL(url);
+    for (const param of SECRET_PARAMS) parsed.searchParams.delete(param);
+    return parsed.toString();
+}
+
+function withoutDates(url) {
+    const parsed = new URL(url);
+    for (const param of DATE_PARAMS) parsed.searchParams.delete(param);
+    return parsed.toString();
+}
+
+function hashRequest({ method, url, body }) {
+    return crypto.createHash("sha1").update(`${method} ${url}\n${body ?? ""}`).digest("hex");
+}
+
+// "Delhi, NCT" → "delhi-nct"
+function cityDir(city) {
+    const slug = String(city || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+    return slug || SHARED_DIR;
+}
+
+/**
+ * Where the fixture for a request lives: one JSON file per request at
+ * `<dir>/<city>/<upstream host>/<hash>.json`, `city` being the one the
+ * request was made for (see upstream/index.js). The hash covers the method,
+ * the URL without credentials and the body (Overpass queries are POSTed),
+ * so it alone identifies the fixture.
+ *
+ * A request made with `rollingDates`, whose date range moves with today's
+ * date (the default weather history range), also gets `undatedHash`, the
+ * hash without the range, and is saved as `<undatedHash>-<hash>.json`.
+ * Replay falls back to it, so such a range recorded one day still replays
+ * the next. Any other range replays only from its own recording.
+ */
+function fixturePath(dir, url, { method = "GET", body, rollingDates = false } = {}, city) {
+    const request = { method: method.toUpperCase(), url: redactUrl(url), body: body ? String(body) : null };
+    const hash = hashRequest(request);
+    const undated = rollingDates ? withoutDates(request.url) : request.url;
+    const undatedHash = undated === request.url ? null : hashRequest({ ...request, url: undated });
+    const name = undatedHash ? `${undatedHash}-${hash}.json` : `${hash}.json`;
+    return { file: path.join(dir, cityDir(city), new URL(url).host, name), hash, undatedHash, request };
+}
+
+/*
+ * Every fixture under `dir`, wherever it was filed: `exact` by hash and
+ * `undated` by undated hash.
+ */
+async function indexFixtures(dir) {
+    const index = { exact: new Map(), undated: new Map() };
+    let entries;
+    try {
+        entries = await fsp.readdir(dir, { recursive: true });
+    } catch (err) {
+        if (err.code === "ENOENT") return index;
+        throw err;
+    }
+    for (const entry of entries.sort()) {
+        if (!entry.endsWith(".json")) continue;
+        const file = path.join(dir, entry);
+        const [first, second] = path.basename(entry, ".json").split("-");
+        if (second) index.undated.set(first, file);
+        index.exact.set(second ?? first, file);
+    }
+    return index;
+}
+
+async function readFixture(file) {
+    try {
+        return JSON.parse(await fsp.readFile(file, "utf8"));
+    } catch (err) {
+        if (err.code === "ENOENT") return undefined;
+        throw err;
+    }
+}
+
+async function writeFixture(file, fixture) {
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, `${JSON.stringify(fixture, null, 2)}\n`);
+    await fsp.rename(tmp, file);
+}
+
+module.exports = { redactUrl, fixturePath, indexFixtures, readFixture, writeFixture };
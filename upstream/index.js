@@ -0,0 +1,46 @@
+const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+const { createLiveAdapter } = require("./liveAdapter");
+const { createFixtureAdapter } = require("./fixtureAdapter");
+const { createRecordingAdapter } = require("./recordingAdapter");
+
+/*
+ * UPSTREAM_MODE picks how requests to Nominatim, Open-Meteo, WAQI, Overpass
+ * and Wikipedia are served:
+ *   live (default) - the network
+ *   fixtures       - recorded responses under FIXTURES_DIR, no network
+ *   record         - the network, saving each response under FIXTURES_DIR
+ */
+function createAdapter() {
+    const mode = (process.env.UPSTREAM_MODE || "live").toLowerCase();
+    const dir = process.env.FIXTURES_DIR || path.join(__dirname, "..", "fixtures");
+
+    if (mode === "fixtures") {
+        console.log(`Upstream: replaying fixtures from ${dir}`);
+        return createFixtureAdapter(dir);
+    }
+    if (mode === "record") {
+        console.log(`Upstream: recording fixtures to ${dir}`);
+        return createRecordingAdapter(dir);
+    }
+    if (mode !== "live") console.warn(`Upstream: unknown UPSTREAM_MODE "${mode}", using live`);
+    return createLiveAdapter();
+}
+
+const adapter = createAdapter();
+
+// The city the upstream requests in progress are for; the recorder files
+// fixtures under it.
+const currentCity = new AsyncLocalStorage();
+
+// Runs `task` with every upstream request it makes attributed to `city`.
+function forCity(city, task) {
+    return currentCity.run(city, task);
+}
+
+// Drop-in for fetch() in every upstream call.
+function upstreamFetch(url, options) {
+    return adapter.fetch(url, options, currentCity.getStore());
+}
+
+module.exports = { adapter, forCity, upstreamFetch };
@@ -0,0 +1,9 @@
+// Straight to the network. `rollingDates` only matters to fixtures.
+function createLiveAdapter() {
+    return {
+        mode: "live",
+        fetch: (url, { rollingDates, ...options } = {}) => fetch(url, options)
+    };
+}
+
+module.exports = { createLiveAdapter };
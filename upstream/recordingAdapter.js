@@ -0,0 +1,42 @@
+const { fixturePath, writeFixture } = require("./fixtureFiles");
+
+/**
+ * Goes to the network like the live adapter and saves every successful
+ * response as a fixture under `dir`, overwriting an older recording of the
+ * same request. Failed responses are not saved, so a rate-limited run
+ * cannot replace a good fixture with an error.
+ */
+function createRecordingAdapter(dir) {
+    return {
+        mode: "record",
+        async fetch(url, options = {}, city) {
+            const { rollingDates, ...init } = options;
+            const res = await fetch(url, init);
+            if (!res.ok) return res;
+
+            const { file, request } = fixturePath(dir, url, options, city);
+            const contentType = res.headers.get("content-type") || "application/json";
+            // Read once and served from the text: a clone() of the response
+            // sometimes reports its body as already read to the caller.
+            const text = await res.text();
+            let body = text;
+            if (contentType.includes("json")) {
+                try {
+                    body = JSON.parse(text);
+                } catch {
+                    // Kept as text; replay serves it back unchanged.
+                }
+            }
+
+            await writeFixture(file, {
+                city: city ?? null,
+                request,
+                response: { status: res.status, contentType, body },
+                recordedAt: new Date().toISOString()
+            }).catch((err) => console.warn(`Could not record ${request.url}: ${err.message}`));
+            return new Response(text, { status: res.status, statusText: res.statusText, headers: res.headers });
+        }
+    };
+}
+
+module.exports = { createRecordingAdapter };
@@ -0,0 +1,52 @@
+const net = require("net");
+const dns = require("dns/promises");
+
+// Loopback, link-local (cloud metadata lives at 169.254.169.254), private,
+// shared, multicast and reserved ranges: nothing a webhook should reach.
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+    ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16],
+    ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) {
+    BLOCKED.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+    BLOCKED.addSubnet(prefix, bits, "ipv6");
+}
+
+// Whether an IP literal is in a non-public range. IPv4-mapped IPv6
+// addresses ("::ffff:127.0.0.1") are checked as the IPv4 they carry.
+function isPrivateAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    return BLOCKED.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// URL hostnames keep IPv6 literals in brackets; "localhost." is localhost too.
+function bareHost(hostname) {
+    return hostname.replace(/^\[(.*)\]$/, "$1").replace(/\.$/, "").toLowerCase();
+}
+
+// Hosts that are private on their face: localhost names and private literals.
+function isPrivateHost(hostname) {
+    const host = bareHost(hostname);
+    return host === "localhost" || host.endsWith(".localhost") || isPrivateAddress(host);
+}
+
+/**
+ * Resolves a hostname and rejects it when any of its addresses is private,
+ * so a public-looking name pointed at an internal host is caught too.
+ */
+async function assertPublicHost(hostname) {
+    if (isPrivateHost(hostname)) throw new Error(`${hostname} is not a public host`);
+    const host = bareHost(hostname);
+    if (net.isIP(host)) return;
+    const addresses = await dns.lookup(host, { all: true });
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) throw new Error(`${hostname} resolves to non-public address ${blocked.address}`);
+}
+
+module.exports = { isPrivateAddress, isPrivateHost, assertPublicHost };
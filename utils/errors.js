@@ -0,0 +1,19 @@
+/**
+ * Error carrying the HTTP status the route should answer with, plus any
+ * extra fields for the JSON body (e.g. `candidates` on a 300).
+ * Anything else thrown inside a handler is reported as a 500.
+ */
+class HttpError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = "HttpError";
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function sendError(res, err) {
+    res.status(err.status || 500).json({ error: err.message, ...err.details });
+}
+
+module.exports = { HttpError, sendError };
@@ -0,0 +1,40 @@
+const { upstreamFetch } = require("../upstream");
+
+const OVERPASS_ENDPOINTS = [
+    "https://overpass-api.de/api/interpreter",
+    "https://overpass.kumi.systems/api/interpreter",
+    "https://overpass.nchc.org.tw/api/interpreter"
+];
+
+async function safeFetch(url, options = {}) {
+    const res = await upstreamFetch(url, options);
+    if (!res.ok) {
+        const text = await res.text();
+        throw new Error(`Fetch failed (${res.status}): ${text}`);
+    }
+    return res.json();
+}
+
+async function fetchOverpass(query, signal) {
+    for (const url of OVERPASS_ENDPOINTS) {
+        if (signal?.aborted) break;
+        try {
+            const res = await upstreamFetch(url, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "text/plain",
+                    "User-Agent": "CityData.org/1.0"
+                },
+                body: query.trim(),
+                signal
+            });
+            if (!res.ok) throw new Error();
+            return await res.json();
+        } catch {
+            console.warn(`Overpass failed: ${url}`);
+        }
+    }
+    throw new Error("All Overpass endpoints failed");
+}
+
+module.exports = { OVERPASS_ENDPOINTS, safeFetch, fetchOverpass };
@@ -0,0 +1,55 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance between two points, in kilometres.
+function haversineKm(lat1, lon1, lat2, lon2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Ray casting over one ring of [lon, lat] positions.
+function inRing(lat, lon, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+// Polygon coordinate lists of a GeoJSON Polygon or MultiPolygon.
+function polygonsOf(geometry) {
+    return geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates];
+}
+
+// Whether a point lies inside a GeoJSON Polygon or MultiPolygon, holes excluded.
+function pointInGeometry(lat, lon, geometry) {
+    return polygonsOf(geometry).some(([outer, ...holes]) =>
+        inRing(lat, lon, outer) && !holes.some((hole) => inRing(lat, lon, hole))
+    );
+}
+
+// Area enclosed by a ring on the sphere, in km².
+function ringAreaKm2(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [lon1, lat1] = ring[i];
+        const [lon2, lat2] = ring[i + 1];
+        sum += toRadians(lon2 - lon1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+    }
+    return Math.abs((sum * EARTH_RADIUS_KM ** 2) / 2);
+}
+
+// Area of a GeoJSON Polygon or MultiPolygon, holes excluded, in km².
+function geometryAreaKm2(geometry) {
+    return polygonsOf(geometry).reduce((total, [outer, ...holes]) =>
+        total + ringAreaKm2(outer) - holes.reduce((sum, hole) => sum + ringAreaKm2(hole), 0), 0);
+}
+
+module.exports = { haversineKm, toRadians, polygonsOf, pointInGeometry, geometryAreaKm2 };
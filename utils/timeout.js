@@ -0,0 +1,32 @@
+class TimeoutError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "TimeoutError";
+        this.status = 504;
+    }
+}
+
+/**
+ * Runs `task(signal)` and rejects with a TimeoutError once `ms` have passed.
+ * The signal is aborted at the same moment so in-flight fetches are torn
+ * down instead of finishing in the background.
+ */
+async function withTimeout(task, ms, label) {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new TimeoutError(`${label} timed out after ${ms} ms`));
+        }, ms);
+    });
+
+    try {
+        return await Promise.race([task(controller.signal), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = { TimeoutError, withTimeout };